@@ -0,0 +1,44 @@
+/**
+ * Contrato do chat da demo (POST /)
+ *
+ * O client envia só cenário, fase, sessão e mensagem: prompts e histórico são montados
+ * no worker (ver prompts.js e history.js). validateChatRequest também é usado pelo mock local.
+ */
+
+import { PHASES } from './prompts.js';
+import { PROVIDERS } from './providers.js';
+
+// Único formato aceito: prompts e histórico são montados no worker, nunca pelo client
+export const ALLOWED_FIELDS = ['scenario', 'phase', 'sessionId', 'message', 'stream', 'provider', 'compare'];
+
+/**
+ * Validar body do chat: retorna mensagem de erro ou null
+ */
+export function validateChatRequest(body) {
+    const unknownField = Object.keys(body).find(field => !ALLOWED_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.scenario !== 'string' || !body.scenario) {
+        return 'Cenário inválido';
+    }
+
+    if (!PHASES.includes(body.phase)) {
+        return 'Fase inválida';
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+        return 'Mensagem inválida';
+    }
+
+    if (body.provider !== undefined && !Object.prototype.hasOwnProperty.call(PROVIDERS, body.provider)) {
+        return 'Modelo inválido';
+    }
+
+    return null;
+}
@@ -0,0 +1,285 @@
+/**
+ * Checkout dos planos (POST /checkout e GET /checkout/status)
+ *
+ * - validateCheckoutRequest: plano, ciclo, forma de pagamento, aceite e dados do cliente
+ *   (CPF ou CNPJ com dígitos verificadores; CNPJ alfanumérico aceito)
+ * - buildOrder: valores calculados aqui a partir do catálogo (plans.json), nunca vindos do client
+ * - KvOrderStore: pedidos no KV (binding ORDERS), chave order:<id>
+ * - MemoryOrderStore: mesma interface em memória (wrangler dev sem binding)
+ * - shouldRefreshStatus: quando o GET /checkout/status consulta o provider (updatedAt marca a última consulta)
+ *
+ * Valores em centavos: mensalidade × meses do ciclo (com o desconto do ciclo) + taxa de setup.
+ */
+
+import { cleanEmail, cleanPhone } from './leads.js';
+
+export const CHECKOUT_FIELDS = ['sessionId', 'plan', 'cycle', 'method', 'customer', 'consent'];
+export const PAYMENT_METHODS = ['pix', 'card'];
+export const ORDER_STATUSES = ['pending', 'paid', 'failed'];
+
+// Consultas ao pedido dentro desta janela respondem o status salvo, sem chamar o provider
+export const STATUS_REFRESH_MS = 10 * 1000;
+
+const ORDER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Sem ciclos no catálogo o checkout cobra só o mensal
+const DEFAULT_CYCLES = [{ id: 'monthly', label: 'Mensal', months: 1, discountPercent: 0 }];
+
+function onlyDigits(value) {
+    return typeof value === 'string' ? value.replace(/\D/g, '') : '';
+}
+
+export function isValidCPF(value) {
+    const cpf = onlyDigits(value);
+    if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+    const digit = (length) => {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += Number(cpf[i]) * (length + 1 - i);
+        }
+
+        const rest = (sum * 10) % 11;
+        return rest === 10 ? 0 : rest;
+    };
+
+    return digit(9) === Number(cpf[9]) && digit(10) === Number(cpf[10]);
+}
+
+// CNPJ numérico ou alfanumérico (12 caracteres A-Z/0-9 + 2 dígitos): valor do caractere = código ASCII - 48
+export function isValidCNPJ(value) {
+    const cnpj = typeof value === 'string' ? value.toUpperCase().replace(/[.\-/\s]/g, '') : '';
+    if (!/^[A-Z0-9]{12}\d{2}$/.test(cnpj) || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+    const digit = (length) => {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            const weight = ((length - 1 - i) % 8) + 2;
+            sum += (cnpj.charCodeAt(i) - 48) * weight;
+        }
+
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    return digit(12) === Number(cnpj[12]) && digit(13) === Number(cnpj[13]);
+}
+
+/**
+ * Documento do cliente normalizado: { type: 'CPF' | 'CNPJ', number } ou null
+ */
+export function cleanDocument(value) {
+    if (typeof value !== 'string') return null;
+
+    if (isValidCPF(value)) {
+        return { type: 'CPF', number: onlyDigits(value) };
+    }
+
+    if (isValidCNPJ(value)) {
+        return { type: 'CNPJ', number: value.toUpperCase().replace(/[.\-/\s]/g, '') };
+    }
+
+    return null;
+}
+
+function cleanName(value) {
+    if (typeof value !== 'string') return null;
+
+    const name = value.trim().replace(/\s+/g, ' ');
+    return name.length >= 3 && name.length <= 120 ? name : null;
+}
+
+export function listCycles(catalog) {
+    return Array.isArray(catalog.billingCycles) && catalog.billingCycles.length
+        ? catalog.billingCycles
+        : DEFAULT_CYCLES;
+}
+
+export function findCycle(catalog, id) {
+    return listCycles(catalog).find(cycle => cycle.id === id) || null;
+}
+
+export function isValidOrderId(id) {
+    return typeof id === 'string' && ORDER_ID_PATTERN.test(id);
+}
+
+/**
+ * Validar body do /checkout: retorna mensagem de erro ou null
+ */
+export function validateCheckoutRequest(body, catalog) {
+    const unknownField = Object.keys(body).find(field => !CHECKOUT_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    const plan = catalog.plans.find(candidate => candidate.id === body.plan);
+    if (!plan) {
+        return 'Plano inválido';
+    }
+
+    // Enterprise e outros "sob consulta" seguem pelo contato com o especialista
+    if (plan.price === null) {
+        return 'Plano sob consulta: fale com um especialista';
+    }
+
+    if (!findCycle(catalog, body.cycle)) {
+        return 'Ciclo de cobrança inválido';
+    }
+
+    if (!PAYMENT_METHODS.includes(body.method)) {
+        return 'Forma de pagamento inválida';
+    }
+
+    // Aceite dos termos e da política de privacidade (dados usados só para a contratação)
+    if (body.consent !== true) {
+        return 'Aceite dos termos obrigatório';
+    }
+
+    const customer = body.customer;
+    if (!customer || typeof customer !== 'object') {
+        return 'Dados do cliente inválidos';
+    }
+
+    if (!cleanName(customer.name)) {
+        return 'Informe o nome completo';
+    }
+
+    if (!cleanEmail(customer.email)) {
+        return 'E-mail inválido';
+    }
+
+    if (!cleanPhone(customer.phone)) {
+        return 'WhatsApp inválido';
+    }
+
+    if (!cleanDocument(customer.document)) {
+        return 'CPF ou CNPJ inválido';
+    }
+
+    return null;
+}
+
+/**
+ * Pedido a partir de um body já validado
+ */
+export function buildOrder(body, catalog, now = new Date()) {
+    const plan = catalog.plans.find(candidate => candidate.id === body.plan);
+    const cycle = findCycle(catalog, body.cycle);
+    const customer = body.customer;
+
+    const monthly = Math.round(plan.price * 100);
+    const subscription = Math.round(monthly * cycle.months * (1 - (cycle.discountPercent || 0) / 100));
+    const setupFee = plan.setupFee ? Math.round(plan.setupFee * 100) : 0;
+
+    return {
+        id: crypto.randomUUID(),
+        sessionId: body.sessionId,
+        plan: { id: plan.id, name: plan.name },
+        cycle: { id: cycle.id, label: cycle.label, months: cycle.months },
+        method: body.method,
+        amount: {
+            currency: catalog.currency || 'BRL',
+            subscription,
+            setupFee,
+            total: subscription + setupFee
+        },
+        customer: {
+            name: cleanName(customer.name),
+            email: cleanEmail(customer.email),
+            phone: cleanPhone(customer.phone),
+            document: cleanDocument(customer.document),
+            company: typeof customer.company === 'string' && customer.company.trim()
+                ? customer.company.trim().substring(0, 120)
+                : null
+        },
+        consent: { granted: true, at: now.toISOString() },
+        status: 'pending',
+        provider: null,
+        paymentId: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+}
+
+/**
+ * Pedido ainda em aberto consultado há mais de STATUS_REFRESH_MS
+ * Final: pago e PIX recusado ou expirado; cartão recusado pode ser aprovado numa nova tentativa no provider
+ */
+export function shouldRefreshStatus(order, now = Date.now()) {
+    if (order.status === 'paid') return false;
+    if (order.status === 'failed' && order.method !== 'card') return false;
+
+    return now - Date.parse(order.updatedAt) >= STATUS_REFRESH_MS;
+}
+
+/**
+ * Resposta pública do pedido (páginas de retorno): sem dados do cliente
+ */
+export function publicOrder(order) {
+    return {
+        orderId: order.id,
+        sessionId: order.sessionId,
+        status: order.status,
+        plan: order.plan,
+        cycle: order.cycle,
+        method: order.method,
+        amount: order.amount,
+        provider: order.provider
+    };
+}
+
+/**
+ * Store no KV (uma chave por pedido)
+ */
+export class KvOrderStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async save(order) {
+        await this.namespace.put(`order:${order.id}`, JSON.stringify(order), {
+            metadata: {
+                plan: order.plan.id,
+                status: order.status,
+                createdAt: order.createdAt
+            }
+        });
+    }
+
+    async get(id) {
+        return this.namespace.get(`order:${id}`, 'json');
+    }
+}
+
+/**
+ * Store em memória (por isolate)
+ */
+export class MemoryOrderStore {
+    constructor() {
+        this.orders = new Map();
+    }
+
+    async save(order) {
+        this.orders.set(order.id, order);
+    }
+
+    async get(id) {
+        return this.orders.get(id) || null;
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryOrderStore();
+
+export function createOrderStore(env) {
+    if (!env.ORDERS) {
+        console.warn('⚠️ Binding ORDERS ausente: pedidos ficam só em memória');
+        return memoryStore;
+    }
+
+    return new KvOrderStore(env.ORDERS);
+}
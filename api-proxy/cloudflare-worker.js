@@ -1,182 +1,723 @@
 /**
- * Cloudflare Worker - Proxy Seguro para Gemini API
+ * Cloudflare Worker - Proxy Seguro para LLMs (Gemini, Qwen, Phi)
  * Deploy: https://dash.cloudflare.com/workers
  * 
  * IMPORTANTE: Configure a variável de ambiente GEMINI_API_KEY no Cloudflare Dashboard
+ * Qwen/Phi: QWEN_BASE_URL / PHI_BASE_URL apontando para um endpoint compatível com OpenAI
  */
 
-const ALLOWED_ORIGINS = [
-    'https://envolveai.bot',
-    'https://www.envolveai.bot',
-    'http://localhost:5500', // Para desenvolvimento local
-    'http://127.0.0.1:5500'
-];
+import { RATE_LIMIT_EXPOSED_HEADERS, createRateLimiter, rateLimitHeaders } from './rate-limit.js';
+import { createConversationStore, trimHistory } from './conversation-store.js';
+import { buildWindow, compactHistory, tokenBudget, withSummary } from './history.js';
+import { buildPricingPrompt, buildSystemPrompt } from './prompts.js';
+import { validateChatRequest } from './chat.js';
+import { loadScenario } from './scenarios.js';
+import { describePlans, detectPlan, findPlan, loadPlans, validatePricingRequest } from './plans.js';
+import { parseInteractive } from './interactive.js';
+import { createProvider, listProviders, normalizeStream, resolveProvider } from './providers.js';
+import { cleanEmail, cleanPhone, createLeadStore, extractLead, normalizeLead, validateLeadRequest } from './leads.js';
+import { createEventStore, normalizeEvent, validateEventBatch } from './events.js';
+import { buildInsights, isAuthorized, parsePeriod, periodStart } from './insights.js';
+import { createErrorStore, normalizeReport, validateErrorBatch } from './errors.js';
+import { checkInput, createOutputGuard, createTextGuard, sanitizeInput } from './moderation.js';
+import { isAllowedOrigin } from './origins.js';
+import { buildOrder, createOrderStore, isValidOrderId, publicOrder, shouldRefreshStatus, validateCheckoutRequest } from './checkout.js';
+import { checkoutReturnUrls, createPaymentProvider } from './payments.js';
+import { PASS_HEADER, isTurnstileEnabled, issuePass, verifyPass, verifyTurnstileToken } from './turnstile.js';
 
-const RATE_LIMIT_REQUESTS = 30; // Máximo de requests por IP
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minuto em ms
+// Durable Objects do rate limiting (RATE_LIMITER) e do histórico (CONVERSATIONS)
+export { RateLimiterDurableObject } from './rate-limit.js';
+export { ConversationDurableObject } from './conversation-store.js';
 
-// Cache simples de rate limiting em memória
-const rateLimitCache = new Map();
+const VERIFY_FIELDS = ['sessionId', 'token'];
+
+// Histórico do assistente de planos separado do histórico da demo da mesma sessão
+const PRICING_CONVERSATION_PREFIX = 'pricing:';
+
+// Guarda de preços do /pricing: aceita até um ano de mensalidade (mais a taxa de setup)
+const PRICING_MAX_MONTHS = 12;
+
+// Rotas com regras próprias de rate limiting (ver buildRules em rate-limit.js)
+const RATE_LIMIT_BUCKETS = {
+    '/events': 'events',
+    '/errors': 'errors',
+    '/verify': 'verify',
+    '/checkout': 'checkout',
+    '/checkout/status': 'checkoutStatus',
+    '/admin/insights': 'insights'
+};
+
+// Rotas que exigem o passe do Turnstile quando TURNSTILE_SECRET_KEY está configurado (ver turnstile.js)
+const HUMAN_CHECK_PATHS = ['/', '/pricing', '/leads', '/checkout'];
+
+const RATE_LIMIT_MESSAGES = {
+    ip: 'Rate limit excedido. Tente novamente em alguns segundos.',
+    session: 'Muitas mensagens seguidas nesta conversa. Aguarde alguns segundos.',
+    global: 'A demonstração atingiu o limite diário de uso. Volte amanhã!'
+};
 
 export default {
     async fetch(request, env, ctx) {
-        // CORS preflight
-        if (request.method === 'OPTIONS') {
-            return handleCORS();
+        // Validar origem (lista ALLOWED_ORIGINS do wrangler.toml, ver origins.js)
+        const origin = request.headers.get('Origin');
+        if (!isAllowedOrigin(origin, env)) {
+            return jsonResponse({ error: 'Origem não autorizada' }, 403);
         }
 
-        // Validar método
-        if (request.method !== 'POST') {
-            return jsonResponse({ error: 'Método não permitido' }, 405);
+        // CORS preflight (responde com a origem validada, nunca "*")
+        if (request.method === 'OPTIONS') {
+            return handleCORS(origin);
         }
 
-        // Validar origem
-        const origin = request.headers.get('Origin');
-        if (!ALLOWED_ORIGINS.includes(origin) && !origin?.includes('127.0.0.1')) {
-            return jsonResponse({ error: 'Origem não autorizada' }, 403);
-        }
+        // Rotas
+        const { pathname } = new URL(request.url);
+        const route = ROUTES[`${request.method} ${pathname}`];
 
-        // Rate limiting por IP
-        const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-        if (!checkRateLimit(clientIP)) {
-            return jsonResponse({ 
-                error: 'Rate limit excedido. Tente novamente em alguns segundos.' 
-            }, 429);
+        if (!route) {
+            const status = ['GET', 'POST'].includes(request.method) ? 404 : 405;
+            return jsonResponse({ error: status === 404 ? 'Rota não encontrada' : 'Método não permitido' }, status, origin);
         }
 
         try {
-            // Parse do body
-            const body = await request.json();
-            
-            // Validação básica
-            if (!body.message || typeof body.message !== 'string') {
-                return jsonResponse({ error: 'Mensagem inválida' }, 400);
-            }
+            const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
 
-            // Sanitizar input (proteção XSS)
-            const sanitizedMessage = body.message.substring(0, 1000); // Limitar tamanho
-
-            // Construir request para Gemini
-            const geminiRequest = {
-                contents: body.contents || [{
-                    parts: [{ text: sanitizedMessage }]
-                }],
-                generationConfig: {
-                    temperature: 0.7,
-                    maxOutputTokens: 500,
-                    topP: 0.95,
-                    topK: 40
+            if (request.method === 'GET') {
+                // Só GET com bucket próprio passa pelo rate limiting (consulta do pedido chama o provider;
+                // painel admin limitado para o ADMIN_TOKEN não ser descoberto por tentativa)
+                const bucket = RATE_LIMIT_BUCKETS[pathname];
+                if (!bucket) {
+                    return await route({ request, env, ctx, origin });
                 }
-            };
-
-            // Chamar Gemini API
-            const geminiResponse = await fetch(
-                'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'x-goog-api-key': env.GEMINI_API_KEY // Variável de ambiente segura
-                    },
-                    body: JSON.stringify(geminiRequest)
+
+                const rateLimit = await createRateLimiter(env, bucket).check({ ip: clientIP, sessionId: null });
+                const limitHeaders = rateLimitHeaders(rateLimit);
+
+                if (!rateLimit.allowed) {
+                    return jsonResponse({
+                        error: RATE_LIMIT_MESSAGES[rateLimit.scope],
+                        scope: rateLimit.scope
+                    }, 429, origin, limitHeaders);
                 }
-            );
-
-            // Verificar resposta
-            if (!geminiResponse.ok) {
-                const errorText = await geminiResponse.text();
-                console.error('Gemini API Error:', errorText);
-                return jsonResponse({ 
-                    error: 'Erro ao processar com IA',
-                    details: geminiResponse.status === 429 ? 'Rate limit da API' : 'Erro interno'
-                }, geminiResponse.status);
+
+                return await route({ request, env, ctx, origin, limitHeaders });
+            }
+
+            // Parse do body
+            const body = await request.json().catch(() => null);
+            if (!body) {
+                return jsonResponse({ error: 'JSON inválido' }, 400, origin);
+            }
+
+            // Rate limiting por IP, sessão e orçamento global diário
+            const sessionId = typeof body.sessionId === 'string' ? body.sessionId.substring(0, 64) : null;
+
+            // Turnstile (opcional): chat, assistente de planos, leads e checkout só com o passe emitido pelo POST /verify
+            if (HUMAN_CHECK_PATHS.includes(pathname) && isTurnstileEnabled(env) &&
+                !(await verifyPass(env, sessionId, request.headers.get(PASS_HEADER)))) {
+                return jsonResponse({ error: 'Verificação anti-robô necessária', turnstile: true }, 403, origin);
             }
 
-            const geminiData = await geminiResponse.json();
+            const rateLimit = await createRateLimiter(env, RATE_LIMIT_BUCKETS[pathname]).check({ ip: clientIP, sessionId });
+            const limitHeaders = rateLimitHeaders(rateLimit);
+
+            if (!rateLimit.allowed) {
+                return jsonResponse({
+                    error: RATE_LIMIT_MESSAGES[rateLimit.scope],
+                    scope: rateLimit.scope
+                }, 429, origin, limitHeaders);
+            }
 
-            // Retornar resposta com CORS
-            return jsonResponse(geminiData, 200, origin);
+            return await route({ request, body, sessionId, env, ctx, origin, limitHeaders });
 
         } catch (error) {
             console.error('Proxy Error:', error);
             return jsonResponse({ 
                 error: 'Erro interno do servidor',
                 message: error.message 
-            }, 500);
+            }, 500, origin);
         }
     }
 };
 
 /**
- * Rate limiting simples baseado em IP
+ * GET /providers - modelos disponíveis (seletor do client)
+ * O recomendado de cada segmento vem do próprio cenário (campo provider)
  */
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const key = `rate_${ip}`;
-    
-    // Limpar cache antigo
-    cleanupRateLimit();
-    
-    // Verificar limite
-    const record = rateLimitCache.get(key);
-    if (!record) {
-        rateLimitCache.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
-        return true;
+function handleProviders({ env, origin }) {
+    return jsonResponse({ providers: listProviders(env) }, 200, origin);
+}
+
+/**
+ * POST / - mensagem do chat { scenario, phase, sessionId, message }
+ */
+async function handleChat({ body, sessionId, env, ctx, origin, limitHeaders }) {
+    // Validação do formato { scenario, phase, sessionId, message }
+    const validationError = validateChatRequest(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
+    }
+
+    const scenario = await loadScenario(env, body.scenario);
+    if (!scenario) {
+        return jsonResponse({ error: 'Cenário inválido' }, 400, origin, limitHeaders);
+    }
+
+    // Sanitizar input e barrar prompt injection antes de chamar o modelo (ver moderation.js)
+    const sanitizedMessage = sanitizeInput(body.message);
+    const inputBlocked = checkInput(sanitizedMessage, body.phase);
+    if (inputBlocked) {
+        console.warn(`🛡️ Mensagem bloqueada (${inputBlocked.reason}) na sessão ${sessionId}`);
+        return jsonResponse({ text: '', interactive: null, blocked: inputBlocked }, 200, origin, limitHeaders);
+    }
+
+    // Histórico da sessão (troca de cenário = conversa nova; fase nunca regride)
+    const store = createConversationStore(env);
+    const saved = await store.get(sessionId);
+    const conversation = saved && saved.scenario === body.scenario
+        ? { ...saved, phase: Math.max(saved.phase, body.phase) }
+        : { scenario: body.scenario, phase: body.phase, history: [] };
+
+    // Janela enviada ao modelo: mensagens recentes dentro do orçamento de tokens
+    const budget = tokenBudget(env);
+    const history = buildWindow(conversation.history, budget);
+
+    // Provider: escolhido pelo visitante ou recomendado para o cenário
+    const providerId = resolveProvider(env, body.provider, scenario.provider);
+    if (!providerId) {
+        return jsonResponse({ error: 'Modelo indisponível no momento', provider: body.provider }, 400, origin, limitHeaders);
+    }
+
+    const provider = createProvider(env, providerId);
+
+    // Salvar a troca no histórico depois da resposta
+    // Comparação entre modelos (compare: true) não altera o histórico
+    // Histórico acima do orçamento: mensagens antigas viram resumo
+    // O lead só é extraído no envio com consentimento (POST /leads), sem chamada extra por resposta
+    const saveReply = async (reply) => {
+        if (body.compare === true || !reply) return;
+
+        const appended = {
+            ...conversation,
+            history: trimHistory([
+                ...conversation.history,
+                { role: 'user', text: sanitizedMessage },
+                { role: 'assistant', text: reply }
+            ])
+        };
+
+        const updated = await compactHistory(appended, provider, budget).catch(error => {
+            console.error('Summary Error:', error);
+            return appended;
+        });
+        await store.save(sessionId, updated);
+    };
+
+    const saveInBackground = (reply) => {
+        ctx.waitUntil(saveReply(reply).catch(error => console.error('History Error:', error)));
+    };
+
+    // Modo streaming (SSE): tokens repassados ao client conforme chegam
+    const stream = body.stream === true;
+
+    // Vazamento do prompt e preços fora da base não chegam ao client nem ao histórico
+    const guard = createOutputGuard(scenario);
+
+    // Chamar o provider com o request normalizado
+    const providerResponse = await provider.fetch({
+        system: buildSystemPrompt(scenario, conversation.phase),
+        messages: withSummary([...history, { role: 'user', text: sanitizedMessage }], conversation.summary),
+        stream
+    });
+
+    // Verificar resposta
+    if (!providerResponse.ok) {
+        return providerErrorResponse(providerResponse, providerId, origin, limitHeaders);
+    }
+
+    if (stream) {
+        const normalized = normalizeStream(providerResponse.body, provider, saveInBackground, guard);
+        return streamResponse(normalized, origin, limitHeaders);
+    }
+
+    const data = await providerResponse.json();
+    const reply = provider.extractText(data);
+    const outputBlocked = provider.isBlocked(data) ? { stage: 'output', reason: 'safety' } : guard(reply);
+
+    if (outputBlocked) {
+        console.warn(`🛡️ Resposta bloqueada (${outputBlocked.reason}) na sessão ${sessionId}`);
+        return jsonResponse({
+            text: '',
+            interactive: null,
+            blocked: outputBlocked,
+            provider: provider.id,
+            model: provider.model
+        }, 200, origin, limitHeaders);
+    }
+
+    // Histórico guarda a resposta com as diretivas (o modelo mantém o formato)
+    saveInBackground(reply);
+
+    const { text, interactive } = parseInteractive(reply);
+
+    // Retornar resposta normalizada com CORS
+    return jsonResponse({ text, interactive, provider: provider.id, model: provider.model }, 200, origin, limitHeaders);
+}
+
+/**
+ * POST /pricing - assistente de vendas do celular de preços { sessionId, plan, message }
+ * Responde só sobre os planos (plans.js); citar outro plano ("e o Enterprise?") troca o plano
+ * da conversa, devolvido em "plan" para o client atualizar a tela
+ */
+async function handlePricing({ body, sessionId, env, ctx, origin, limitHeaders }) {
+    const validationError = validatePricingRequest(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
+    }
+
+    const catalog = await loadPlans(env);
+    if (!catalog) {
+        return jsonResponse({ error: 'Planos indisponíveis no momento' }, 503, origin, limitHeaders);
+    }
+
+    if (!findPlan(catalog, body.plan)) {
+        return jsonResponse({ error: 'Plano inválido' }, 400, origin, limitHeaders);
+    }
+
+    // Mesma moderação do chat (ver moderation.js)
+    const sanitizedMessage = sanitizeInput(body.message);
+    const inputBlocked = checkInput(sanitizedMessage, 1);
+    if (inputBlocked) {
+        console.warn(`🛡️ Mensagem bloqueada no /pricing (${inputBlocked.reason}) na sessão ${sessionId}`);
+        return jsonResponse({ text: '', interactive: null, blocked: inputBlocked, plan: body.plan }, 200, origin, limitHeaders);
+    }
+
+    // Plano citado na mensagem tem prioridade sobre o plano da tela
+    const plan = findPlan(catalog, detectPlan(catalog, sanitizedMessage) || body.plan);
+
+    const store = createConversationStore(env);
+    const conversationId = `${PRICING_CONVERSATION_PREFIX}${sessionId}`;
+    const conversation = (await store.get(conversationId)) || { scenario: 'pricing', history: [] };
+
+    const budget = tokenBudget(env);
+    const history = buildWindow(conversation.history, budget);
+
+    const providerId = resolveProvider(env, null, catalog.provider);
+    if (!providerId) {
+        return jsonResponse({ error: 'Modelo indisponível no momento' }, 503, origin, limitHeaders);
+    }
+
+    const provider = createProvider(env, providerId);
+
+    const saveReply = async (reply) => {
+        if (!reply) return;
+
+        const appended = {
+            ...conversation,
+            plan: plan.id,
+            history: trimHistory([
+                ...conversation.history,
+                { role: 'user', text: sanitizedMessage },
+                { role: 'assistant', text: reply }
+            ])
+        };
+
+        const updated = await compactHistory(appended, provider, budget).catch(error => {
+            console.error('Summary Error:', error);
+            return appended;
+        });
+        await store.save(conversationId, updated);
+    };
+
+    const saveInBackground = (reply) => {
+        ctx.waitUntil(saveReply(reply).catch(error => console.error('History Error:', error)));
+    };
+
+    const stream = body.stream === true;
+    const guard = createTextGuard(describePlans(catalog).join('\n'), { maxUnits: PRICING_MAX_MONTHS });
+
+    const providerResponse = await provider.fetch({
+        system: buildPricingPrompt(catalog, plan),
+        messages: withSummary([...history, { role: 'user', text: sanitizedMessage }], conversation.summary),
+        stream
+    });
+
+    if (!providerResponse.ok) {
+        return providerErrorResponse(providerResponse, providerId, origin, limitHeaders);
+    }
+
+    if (stream) {
+        const normalized = normalizeStream(providerResponse.body, provider, saveInBackground, guard, { plan: plan.id });
+        return streamResponse(normalized, origin, limitHeaders);
+    }
+
+    const data = await providerResponse.json();
+    const reply = provider.extractText(data);
+    const outputBlocked = provider.isBlocked(data) ? { stage: 'output', reason: 'safety' } : guard(reply);
+
+    if (outputBlocked) {
+        console.warn(`🛡️ Resposta bloqueada no /pricing (${outputBlocked.reason}) na sessão ${sessionId}`);
+        return jsonResponse({
+            text: '',
+            interactive: null,
+            blocked: outputBlocked,
+            plan: plan.id,
+            provider: provider.id,
+            model: provider.model
+        }, 200, origin, limitHeaders);
+    }
+
+    saveInBackground(reply);
+
+    const { text, interactive } = parseInteractive(reply);
+
+    return jsonResponse({ text, interactive, plan: plan.id, provider: provider.id, model: provider.model }, 200, origin, limitHeaders);
+}
+
+/**
+ * POST /leads - envio do contato com consentimento { sessionId, consent, contact }
+ * Junta o contato informado ao lead extraído da conversa e persiste no KV
+ */
+async function handleLeads({ body, sessionId, env, origin, limitHeaders }) {
+    const validationError = validateLeadRequest(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
     }
-    
-    // Reset se window expirou
-    if (now > record.resetAt) {
-        rateLimitCache.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
-        return true;
+
+    const conversation = await createConversationStore(env).get(sessionId);
+    let extracted = null;
+
+    // Extração do lead sobre a conversa inteira (uma chamada ao modelo por envio)
+    if (conversation?.history?.length) {
+        const scenario = await loadScenario(env, conversation.scenario).catch(() => null);
+        const providerId = resolveProvider(env, null, scenario?.provider);
+        extracted = await extractLead(createProvider(env, providerId), conversation.history, conversation.summary)
+            .catch(error => {
+                console.error('Lead Extraction Error:', error);
+                return null;
+            });
     }
-    
-    // Incrementar e verificar
-    record.count++;
-    if (record.count > RATE_LIMIT_REQUESTS) {
-        return false;
+
+    const base = extracted || normalizeLead({});
+    const contact = body.contact;
+    const now = new Date().toISOString();
+
+    const lead = {
+        ...base,
+        sessionId,
+        scenario: conversation?.scenario || null,
+        name: typeof contact.name === 'string' && contact.name.trim()
+            ? contact.name.trim().substring(0, 120)
+            : base.name,
+        contact: {
+            email: cleanEmail(contact.email) || base.contact.email,
+            phone: cleanPhone(contact.phone) || base.contact.phone
+        },
+        consent: { granted: true, at: now },
+        createdAt: now
+    };
+
+    await createLeadStore(env).save(lead);
+
+    return jsonResponse({ ok: true }, 201, origin, limitHeaders);
+}
+
+/**
+ * POST /events - lote de eventos do DemoAnalyticsEngine { sessionId, events }
+ * Também recebe navigator.sendBeacon (Content-Type text/plain, mesmo JSON)
+ */
+async function handleEvents({ body, sessionId, env, origin, limitHeaders }) {
+    const validationError = validateEventBatch(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
     }
-    
-    return true;
+
+    const now = Date.now();
+    const events = body.events
+        .map(event => normalizeEvent(event, sessionId, now))
+        .filter(Boolean);
+
+    if (events.length) {
+        await createEventStore(env).saveBatch(events);
+    }
+
+    return jsonResponse({
+        accepted: events.length,
+        rejected: body.events.length - events.length
+    }, 202, origin, limitHeaders);
 }
 
 /**
- * Limpar cache de rate limiting (executado periodicamente)
+ * POST /errors - relatórios do ErrorReporter { sessionId, reports }
+ * Deduplicados por fingerprint (o client manda só o count acumulado desde o último envio)
  */
-function cleanupRateLimit() {
+async function handleErrors({ body, env, origin, limitHeaders }) {
+    const validationError = validateErrorBatch(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
+    }
+
     const now = Date.now();
-    for (const [key, record] of rateLimitCache.entries()) {
-        if (now > record.resetAt) {
-            rateLimitCache.delete(key);
-        }
+    const reports = body.reports
+        .map(report => normalizeReport(report, now))
+        .filter(Boolean);
+
+    if (reports.length) {
+        await createErrorStore(env).saveBatch(reports);
+    }
+
+    return jsonResponse({ accepted: reports.length }, 202, origin, limitHeaders);
+}
+
+/**
+ * POST /verify - token do widget Turnstile { sessionId, token }
+ * Responde com o passe da sessão { pass, expiresAt } (header X-Turnstile-Pass no chat, no /leads e no /checkout)
+ */
+async function handleVerify({ request, body, sessionId, env, origin, limitHeaders }) {
+    if (!isTurnstileEnabled(env)) {
+        return jsonResponse({ error: 'Verificação anti-robô desativada' }, 404, origin, limitHeaders);
     }
+
+    const validationError = validateVerifyRequest(body);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, limitHeaders);
+    }
+
+    // Siteverify fora do ar: "verificação indisponível" (não é erro interno nem recusa do token)
+    let human;
+    try {
+        human = await verifyTurnstileToken(env, body.token, request.headers.get('CF-Connecting-IP'));
+    } catch (error) {
+        console.error('Turnstile Error:', error);
+        return jsonResponse({
+            error: 'Verificação anti-robô indisponível. Tente novamente em instantes.',
+            turnstile: true
+        }, 503, origin, limitHeaders);
+    }
+
+    if (!human) {
+        return jsonResponse({ error: 'Verificação anti-robô falhou', turnstile: true }, 403, origin, limitHeaders);
+    }
+
+    return jsonResponse(await issuePass(env, sessionId), 200, origin, { ...limitHeaders, 'Cache-Control': 'no-store' });
 }
 
 /**
- * Handler CORS
+ * GET /admin/insights?days=30 - funil, segmentos e leads (painel admin/insights/)
+ * Authorization: Bearer <ADMIN_TOKEN>
  */
-function handleCORS() {
+async function handleInsights({ request, env, origin, limitHeaders }) {
+    const noStore = { ...limitHeaders, 'Cache-Control': 'no-store' };
+
+    if (!env.ADMIN_TOKEN) {
+        return jsonResponse({ error: 'Painel desativado: configure ADMIN_TOKEN' }, 503, origin, noStore);
+    }
+
+    if (!isAuthorized(request, env)) {
+        return jsonResponse({ error: 'Não autorizado' }, 401, origin, noStore);
+    }
+
+    const days = parsePeriod(new URL(request.url).searchParams.get('days'));
+    const since = periodStart(days);
+
+    const [summary, leadCounts] = await Promise.all([
+        createEventStore(env).summarize(since),
+        createLeadStore(env).countByInterest(since)
+    ]);
+
+    return jsonResponse(buildInsights(summary, leadCounts, { days }), 200, origin, noStore);
+}
+
+/**
+ * POST /checkout - pedido de contratação { sessionId, plan, cycle, method, customer, consent }
+ * Valores calculados a partir do plans.json; responde com a intenção de pagamento do provider
+ * (PIX: código copia e cola / QR Code; cartão: redirectUrl do checkout do provider)
+ */
+async function handleCheckout({ body, env, origin, limitHeaders }) {
+    const noStore = { ...limitHeaders, 'Cache-Control': 'no-store' };
+
+    const catalog = await loadPlans(env);
+    const provider = createPaymentProvider(env);
+    if (!catalog || !provider) {
+        return jsonResponse({ error: 'Checkout indisponível: fale com um especialista', contact: true }, 503, origin, noStore);
+    }
+
+    const validationError = validateCheckoutRequest(body, catalog);
+    if (validationError) {
+        return jsonResponse({ error: validationError }, 400, origin, noStore);
+    }
+
+    const order = buildOrder(body, catalog);
+
+    let intent;
+    try {
+        intent = await provider.createIntent(order, checkoutReturnUrls(env, order));
+    } catch (error) {
+        console.error('Payment Provider Error:', error);
+        return jsonResponse({ error: 'Não foi possível iniciar o pagamento. Tente novamente.' }, 502, origin, noStore);
+    }
+
+    const saved = { ...order, provider: intent.provider, paymentId: intent.paymentId, status: intent.status };
+    await createOrderStore(env).save(saved);
+
+    return jsonResponse({
+        orderId: order.id,
+        status: saved.status,
+        amount: order.amount,
+        method: order.method,
+        redirectUrl: intent.redirectUrl || null,
+        pix: intent.pix || null,
+        test: intent.test
+    }, 201, origin, noStore);
+}
+
+/**
+ * GET /checkout/status?pedido=<id> - situação do pedido (páginas de retorno e espera do PIX)
+ * Pedido em aberto (ver shouldRefreshStatus) é atualizado no provider no máximo a cada STATUS_REFRESH_MS; a resposta não leva os dados do cliente
+ */
+async function handleCheckoutStatus({ request, env, origin, limitHeaders }) {
+    const noStore = { ...limitHeaders, 'Cache-Control': 'no-store' };
+
+    const id = new URL(request.url).searchParams.get('pedido');
+    if (!isValidOrderId(id)) {
+        return jsonResponse({ error: 'Pedido inválido' }, 400, origin, noStore);
+    }
+
+    const store = createOrderStore(env);
+    const order = await store.get(id);
+    if (!order) {
+        return jsonResponse({ error: 'Pedido não encontrado' }, 404, origin, noStore);
+    }
+
+    const provider = shouldRefreshStatus(order) ? createPaymentProvider(env, order.provider) : null;
+    if (provider) {
+        order.status = await provider.getStatus(order).catch(error => {
+            console.error('Payment Status Error:', error);
+            return order.status;
+        });
+
+        // Salvo mesmo sem mudança: updatedAt segura a próxima consulta ao provider
+        order.updatedAt = new Date().toISOString();
+        await store.save(order);
+    }
+
+    return jsonResponse(publicOrder(order), 200, origin, noStore);
+}
+
+const ROUTES = {
+    'GET /providers': handleProviders,
+    'GET /admin/insights': handleInsights,
+    'GET /checkout/status': handleCheckoutStatus,
+    'POST /': handleChat,
+    'POST /pricing': handlePricing,
+    'POST /leads': handleLeads,
+    'POST /events': handleEvents,
+    'POST /errors': handleErrors,
+    'POST /verify': handleVerify,
+    'POST /checkout': handleCheckout
+};
+
+/**
+ * Validar body do /verify: retorna mensagem de erro ou null
+ */
+function validateVerifyRequest(body) {
+    const unknownField = Object.keys(body).find(field => !VERIFY_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    if (typeof body.token !== 'string' || !body.token || body.token.length > 2048) {
+        return 'Token inválido';
+    }
+
+    return null;
+}
+
+/**
+ * Headers CORS para uma origem já validada (sem origem = resposta sem CORS)
+ * Vary: Origin sempre: caches não podem servir a resposta de uma origem para outra
+ */
+function corsHeaders(origin) {
+    const headers = { 'Vary': 'Origin' };
+    if (!origin) return headers;
+
+    return {
+        ...headers,
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': `Content-Type, Authorization, ${PASS_HEADER}`,
+        'Access-Control-Expose-Headers': RATE_LIMIT_EXPOSED_HEADERS
+    };
+}
+
+/**
+ * Handler CORS (preflight)
+ */
+function handleCORS(origin) {
     return new Response(null, {
         status: 204,
         headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
+            ...corsHeaders(origin),
             'Access-Control-Max-Age': '86400'
         }
     });
 }
 
+/**
+ * Repassar stream SSE (já normalizado) com CORS
+ */
+function streamResponse(body, origin, extraHeaders = {}) {
+    return new Response(body, {
+        status: 200,
+        headers: {
+            ...extraHeaders,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            ...corsHeaders(origin),
+            'X-Content-Type-Options': 'nosniff'
+        }
+    });
+}
+
+/**
+ * Falha do provider de IA: 429 segue com o Retry-After do provider e scope "provider"
+ * (o client tenta de novo); qualquer outro status vira 502 (chave inválida ou expirada
+ * também é falha do serviço, não do visitante)
+ */
+async function providerErrorResponse(providerResponse, providerId, origin, limitHeaders) {
+    const errorText = await providerResponse.text();
+    console.error(`${providerId} API Error:`, providerResponse.status, errorText);
+
+    if (providerResponse.status === 429) {
+        const retryAfter = providerResponse.headers.get('Retry-After');
+        return jsonResponse({
+            error: 'Erro ao processar com IA',
+            details: 'Rate limit da API',
+            scope: 'provider',
+            provider: providerId
+        }, 429, origin, { ...limitHeaders, ...(retryAfter ? { 'Retry-After': retryAfter } : {}) });
+    }
+
+    return jsonResponse({
+        error: 'Erro ao processar com IA',
+        details: 'Erro interno',
+        provider: providerId
+    }, 502, origin, limitHeaders);
+}
+
 /**
  * Criar resposta JSON com CORS
  */
-function jsonResponse(data, status = 200, origin = '*') {
+function jsonResponse(data, status = 200, origin = null, extraHeaders = {}) {
     return new Response(JSON.stringify(data), {
         status,
         headers: {
+            ...extraHeaders,
             'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': origin,
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
+            ...corsHeaders(origin),
             'X-Content-Type-Options': 'nosniff',
             'X-Frame-Options': 'DENY',
             'X-XSS-Protection': '1; mode=block'
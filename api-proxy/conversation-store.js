@@ -0,0 +1,117 @@
+/**
+ * Histórico das conversas por sessão (mantido no servidor)
+ *
+ * - DurableObjectConversationStore: uma instância por sessionId (produção)
+ * - MemoryConversationStore: mesma interface em memória (wrangler dev sem binding)
+ *
+ * Formato salvo: { scenario, phase, summary?, history: [{ role: 'user' | 'assistant', text }] }
+ */
+
+const SESSION_TTL_MS = 60 * 60 * 1000; // 1h sem mensagens = conversa descartada
+const MAX_HISTORY_MESSAGES = 40; // Teto de segurança; o orçamento de tokens fica em history.js
+
+/**
+ * Manter apenas as últimas mensagens, começando sempre por uma do usuário
+ */
+export function trimHistory(history, maxMessages = MAX_HISTORY_MESSAGES) {
+    const trimmed = history.slice(-maxMessages);
+
+    while (trimmed.length && trimmed[0].role !== 'user') {
+        trimmed.shift();
+    }
+
+    return trimmed;
+}
+
+/**
+ * Store em memória (por isolate)
+ */
+export class MemoryConversationStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(sessionId) {
+        const now = Date.now();
+        this.cleanup(now);
+
+        return this.sessions.get(sessionId)?.conversation || null;
+    }
+
+    async save(sessionId, conversation) {
+        this.sessions.set(sessionId, {
+            conversation,
+            expiresAt: Date.now() + SESSION_TTL_MS
+        });
+    }
+
+    cleanup(now) {
+        for (const [sessionId, session] of this.sessions.entries()) {
+            if (now > session.expiresAt) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+/**
+ * Store via Durable Object (uma instância por sessão)
+ */
+export class DurableObjectConversationStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    stub(sessionId) {
+        return this.namespace.get(this.namespace.idFromName(sessionId));
+    }
+
+    async get(sessionId) {
+        const response = await this.stub(sessionId).fetch('https://conversation/state');
+        return response.json();
+    }
+
+    async save(sessionId, conversation) {
+        await this.stub(sessionId).fetch('https://conversation/state', {
+            method: 'PUT',
+            body: JSON.stringify(conversation)
+        });
+    }
+}
+
+/**
+ * Durable Object com o histórico de uma sessão
+ * Exportado pelo worker principal (binding CONVERSATIONS no wrangler.toml)
+ */
+export class ConversationDurableObject {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        if (request.method === 'PUT') {
+            await this.state.storage.put('conversation', await request.json());
+            await this.state.storage.setAlarm(Date.now() + SESSION_TTL_MS);
+            return new Response(null, { status: 204 });
+        }
+
+        const conversation = await this.state.storage.get('conversation');
+        return Response.json(conversation || null);
+    }
+
+    /**
+     * Sessão inativa: apagar histórico
+     */
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryConversationStore();
+
+export function createConversationStore(env) {
+    return env.CONVERSATIONS
+        ? new DurableObjectConversationStore(env.CONVERSATIONS)
+        : memoryStore;
+}
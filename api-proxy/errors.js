@@ -0,0 +1,137 @@
+/**
+ * Relatórios de erro do site (POST /errors)
+ *
+ * - validateErrorBatch / normalizeReport: formato enviado pelo ErrorReporter (assets/js/script.js)
+ * - D1ErrorStore: uma linha por fingerprint no D1 (ANALYTICS_DB, migrations/0002_errors.sql);
+ *   repetições somam em count e atualizam last_seen/breadcrumbs
+ * - MemoryErrorStore: mesma interface em memória (wrangler dev sem binding)
+ *
+ * Sem dados pessoais: mensagem, stack, página e os últimos eventos de analytics (nome, cenário, fase).
+ */
+
+const BATCH_FIELDS = ['sessionId', 'reports'];
+const MAX_REPORTS_PER_BATCH = 20;
+const MAX_BREADCRUMBS = 10;
+const MAX_COUNT_PER_REPORT = 1000;
+const FINGERPRINT_PATTERN = /^[a-f0-9]{8}$/;
+
+function cleanString(value, maxLength) {
+    return typeof value === 'string' ? value.substring(0, maxLength) : null;
+}
+
+/**
+ * Validar o lote { sessionId, reports }: retorna mensagem de erro ou null
+ */
+export function validateErrorBatch(body) {
+    const unknownField = Object.keys(body).find(field => !BATCH_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    if (!Array.isArray(body.reports) || !body.reports.length || body.reports.length > MAX_REPORTS_PER_BATCH) {
+        return `Envie de 1 a ${MAX_REPORTS_PER_BATCH} relatórios`;
+    }
+
+    return null;
+}
+
+/**
+ * Normalizar um relatório (null = descartado)
+ */
+export function normalizeReport(raw, now = Date.now()) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.fingerprint !== 'string' || !FINGERPRINT_PATTERN.test(raw.fingerprint)) return null;
+
+    const count = Math.min(Math.max(parseInt(raw.count, 10) || 1, 1), MAX_COUNT_PER_REPORT);
+    const breadcrumbs = Array.isArray(raw.breadcrumbs)
+        ? raw.breadcrumbs.slice(-MAX_BREADCRUMBS).map(crumb => ({
+            event: cleanString(crumb?.event, 40),
+            timestamp: Number.isFinite(crumb?.timestamp) ? crumb.timestamp : null,
+            scenario: cleanString(crumb?.scenario, 32),
+            phase: Number.isInteger(crumb?.phase) ? crumb.phase : null
+        })).filter(crumb => crumb.event)
+        : [];
+
+    return {
+        fingerprint: raw.fingerprint,
+        type: cleanString(raw.type, 60) || 'Error',
+        component: cleanString(raw.component, 40) || 'global',
+        name: cleanString(raw.name, 60) || 'Error',
+        message: cleanString(raw.message, 300) || '',
+        stack: cleanString(raw.stack, 2000) || '',
+        page: cleanString(raw.page, 200) || '/',
+        count,
+        breadcrumbs: JSON.stringify(breadcrumbs),
+        seenAt: now
+    };
+}
+
+/**
+ * Store no D1 (upsert por fingerprint)
+ */
+export class D1ErrorStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async saveBatch(reports) {
+        const statement = this.db.prepare(
+            `INSERT INTO error_reports (fingerprint, type, component, name, message, stack, page, count, breadcrumbs, first_seen, last_seen)
+             VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?10)
+             ON CONFLICT(fingerprint) DO UPDATE SET
+                 count = count + excluded.count,
+                 message = excluded.message,
+                 stack = excluded.stack,
+                 page = excluded.page,
+                 breadcrumbs = excluded.breadcrumbs,
+                 last_seen = excluded.last_seen`
+        );
+
+        await this.db.batch(reports.map(report => statement.bind(
+            report.fingerprint,
+            report.type,
+            report.component,
+            report.name,
+            report.message,
+            report.stack,
+            report.page,
+            report.count,
+            report.breadcrumbs,
+            report.seenAt
+        )));
+    }
+}
+
+/**
+ * Store em memória (por isolate)
+ */
+export class MemoryErrorStore {
+    constructor() {
+        this.reports = new Map();
+    }
+
+    async saveBatch(reports) {
+        reports.forEach(report => {
+            const existing = this.reports.get(report.fingerprint);
+            this.reports.set(report.fingerprint, existing
+                ? { ...existing, ...report, count: existing.count + report.count, firstSeen: existing.firstSeen }
+                : { ...report, firstSeen: report.seenAt });
+        });
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryErrorStore();
+
+export function createErrorStore(env) {
+    if (!env.ANALYTICS_DB) {
+        console.warn('⚠️ Binding ANALYTICS_DB ausente: relatórios de erro ficam só em memória');
+        return memoryStore;
+    }
+
+    return new D1ErrorStore(env.ANALYTICS_DB);
+}
@@ -0,0 +1,225 @@
+/**
+ * Eventos de analytics da demo (POST /events)
+ *
+ * - validateEventBatch / normalizeEvent: formato do lote enviado pelo DemoAnalyticsEngine
+ *   (esquema em docs/analytics-events.md)
+ * - D1EventStore: persistência no D1 (binding ANALYTICS_DB, tabela em migrations/0001_events.sql)
+ * - MemoryEventStore: mesma interface em memória (wrangler dev sem binding)
+ * - summarize(since): agregados do período para o painel /admin/insights (insights.js)
+ *
+ * Só eventos de uso da demo: dados de contato nunca passam por aqui (ver leads.js).
+ */
+
+export const EVENT_SCHEMA_VERSION = 1;
+
+const BATCH_FIELDS = ['sessionId', 'events'];
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_DATA_LENGTH = 2000;
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const SCENARIO_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+// Teto de linhas devolvidas por consulta do painel (sessões e tempos até a fase 2)
+const MAX_SUMMARY_ROWS = 20000;
+
+// Eventos que marcam uma simulação iniciada (recarregar e continuar também conta)
+const START_EVENTS = ['simulation_started', 'simulation_resumed'];
+
+// Lotes da fila de reenvio podem chegar dias depois; relógio adiantado é tolerado até 5 min
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validar o lote { sessionId, events }: retorna mensagem de erro ou null
+ * Eventos inválidos não derrubam o lote (são descartados em normalizeEvent)
+ */
+export function validateEventBatch(body) {
+    const unknownField = Object.keys(body).find(field => !BATCH_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    if (!Array.isArray(body.events) || !body.events.length) {
+        return 'Lote de eventos vazio';
+    }
+
+    if (body.events.length > MAX_EVENTS_PER_BATCH) {
+        return `Máximo de ${MAX_EVENTS_PER_BATCH} eventos por lote`;
+    }
+
+    return null;
+}
+
+/**
+ * Normalizar um evento do lote (null = descartado)
+ */
+export function normalizeEvent(raw, sessionId, now = Date.now()) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.event !== 'string' || !EVENT_NAME_PATTERN.test(raw.event)) return null;
+
+    const occurredAt = Number(raw.timestamp);
+    if (!Number.isFinite(occurredAt) || occurredAt < now - MAX_EVENT_AGE_MS || occurredAt > now + MAX_CLOCK_SKEW_MS) {
+        return null;
+    }
+
+    const data = raw.data && typeof raw.data === 'object' && !Array.isArray(raw.data) ? raw.data : {};
+    const serialized = JSON.stringify(data);
+    if (serialized.length > MAX_DATA_LENGTH) return null;
+
+    const sessionDuration = Number(raw.sessionDuration);
+
+    return {
+        sessionId,
+        event: raw.event,
+        // Coluna própria para agregar o funil por segmento sem abrir o JSON
+        scenario: typeof data.scenario === 'string' && SCENARIO_PATTERN.test(data.scenario) ? data.scenario : null,
+        data: serialized,
+        sessionDuration: Number.isFinite(sessionDuration) && sessionDuration >= 0 ? Math.round(sessionDuration) : null,
+        schemaVersion: Number.isInteger(raw.v) ? raw.v : EVENT_SCHEMA_VERSION,
+        occurredAt: Math.round(occurredAt),
+        receivedAt: now
+    };
+}
+
+/**
+ * Store no D1 (uma linha por evento, lote gravado numa única ida ao banco)
+ */
+export class D1EventStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async saveBatch(events) {
+        const statement = this.db.prepare(
+            `INSERT INTO events (session_id, event, scenario, data, session_duration, schema_version, occurred_at, received_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        );
+
+        await this.db.batch(events.map(event => statement.bind(
+            event.sessionId,
+            event.event,
+            event.scenario,
+            event.data,
+            event.sessionDuration,
+            event.schemaVersion,
+            event.occurredAt,
+            event.receivedAt
+        )));
+    }
+
+    /**
+     * Agregados desde `since` (epoch ms) em uma ida ao banco
+     */
+    async summarize(since) {
+        const startEvents = START_EVENTS.map(event => `'${event}'`).join(', ');
+
+        const [funnel, byScenario, phase2Times, sessions] = await this.db.batch([
+            this.db.prepare(
+                `SELECT event, COUNT(DISTINCT session_id) AS sessions
+                 FROM events WHERE occurred_at >= ?1
+                 GROUP BY event`
+            ).bind(since),
+            this.db.prepare(
+                `SELECT scenario, event, COUNT(DISTINCT session_id) AS sessions
+                 FROM events WHERE occurred_at >= ?1 AND scenario IS NOT NULL
+                 GROUP BY scenario, event`
+            ).bind(since),
+            this.db.prepare(
+                `SELECT scenario, json_extract(data, '$.timeToTransition') AS ms
+                 FROM events WHERE occurred_at >= ?1 AND event = 'phase_2_reached'
+                 LIMIT ${MAX_SUMMARY_ROWS}`
+            ).bind(since),
+            this.db.prepare(
+                `SELECT MAX(CASE WHEN event = 'message_sent' THEN json_extract(data, '$.messageCount') END) AS last_message,
+                        MAX(event = 'phase_2_reached') AS reached_phase_2
+                 FROM events
+                 WHERE occurred_at >= ?1 AND event IN ('message_sent', 'phase_2_reached', ${startEvents})
+                 GROUP BY session_id
+                 HAVING MAX(event IN (${startEvents})) = 1
+                 LIMIT ${MAX_SUMMARY_ROWS}`
+            ).bind(since)
+        ]);
+
+        return {
+            funnel: funnel.results,
+            byScenario: byScenario.results,
+            phase2Times: phase2Times.results,
+            sessions: sessions.results.map(row => ({
+                lastMessage: row.last_message || 0,
+                reachedPhase2: row.reached_phase_2 === 1
+            }))
+        };
+    }
+}
+
+/**
+ * Store em memória (por isolate, guarda só os mais recentes)
+ */
+export class MemoryEventStore {
+    constructor(maxEvents = 1000) {
+        this.events = [];
+        this.maxEvents = maxEvents;
+    }
+
+    async saveBatch(events) {
+        this.events.push(...events);
+        this.events.splice(0, Math.max(0, this.events.length - this.maxEvents));
+    }
+
+    /**
+     * Mesmo formato do D1EventStore.summarize
+     */
+    async summarize(since) {
+        const events = this.events.filter(event => event.occurredAt >= since);
+        const distinct = new Map(); // "scenario|event" → Set de sessões
+        const sessions = new Map();
+
+        const countSession = (key, sessionId) => {
+            if (!distinct.has(key)) distinct.set(key, new Set());
+            distinct.get(key).add(sessionId);
+        };
+
+        events.forEach(event => {
+            const data = JSON.parse(event.data);
+            countSession(`|${event.event}`, event.sessionId);
+            if (event.scenario) countSession(`${event.scenario}|${event.event}`, event.sessionId);
+
+            const session = sessions.get(event.sessionId) || { started: false, lastMessage: 0, reachedPhase2: false };
+            if (START_EVENTS.includes(event.event)) session.started = true;
+            if (event.event === 'message_sent') session.lastMessage = Math.max(session.lastMessage, data.messageCount || 0);
+            if (event.event === 'phase_2_reached') session.reachedPhase2 = true;
+            sessions.set(event.sessionId, session);
+        });
+
+        const counts = [...distinct.entries()].map(([key, ids]) => {
+            const [scenario, event] = key.split('|');
+            return { scenario: scenario || null, event, sessions: ids.size };
+        });
+
+        return {
+            funnel: counts.filter(row => !row.scenario).map(({ event, sessions }) => ({ event, sessions })),
+            byScenario: counts.filter(row => row.scenario),
+            phase2Times: events
+                .filter(event => event.event === 'phase_2_reached')
+                .map(event => ({ scenario: event.scenario, ms: JSON.parse(event.data).timeToTransition })),
+            sessions: [...sessions.values()]
+                .filter(session => session.started)
+                .map(({ lastMessage, reachedPhase2 }) => ({ lastMessage, reachedPhase2 }))
+        };
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryEventStore();
+
+export function createEventStore(env) {
+    if (!env.ANALYTICS_DB) {
+        console.warn('⚠️ Binding ANALYTICS_DB ausente: eventos ficam só em memória');
+        return memoryStore;
+    }
+
+    return new D1EventStore(env.ANALYTICS_DB);
+}
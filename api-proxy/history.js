@@ -0,0 +1,103 @@
+/**
+ * Janela de histórico com orçamento de tokens
+ *
+ * - buildWindow: mensagens recentes que cabem no orçamento (usado em todo request)
+ * - compactHistory: quando o histórico passa do orçamento, as mensagens antigas
+ *   viram um resumo (conversation.summary)
+ * - withSummary: o resumo vai como contexto na primeira mensagem do usuário, nunca no
+ *   systemInstruction (é escrito a partir das mensagens do visitante)
+ */
+
+import { trimHistory } from './conversation-store.js';
+
+const DEFAULT_TOKEN_BUDGET = 1500;
+const KEEP_RECENT_MESSAGES = 6; // Últimas 3 trocas sempre ficam literais
+const MAX_SUMMARY_LENGTH = 1200;
+
+const SUMMARY_PROMPT = `
+Você resume conversas de atendimento via WhatsApp para o próprio assistente continuar o atendimento.
+Escreva em português, em no máximo 6 linhas curtas, mantendo apenas:
+- itens, pedidos, agendamentos ou produtos já escolhidos (com valores)
+- dados que o visitante informou (nome, tipo de negócio, automação atual, contato)
+- dúvidas ainda sem resposta e o próximo passo combinado
+Não invente nada. Responda só com o resumo.
+`;
+
+/**
+ * Estimativa simples (~4 caracteres por token em português)
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+export function historyTokens(history) {
+    return history.reduce((total, msg) => total + estimateTokens(msg.text), 0);
+}
+
+export function tokenBudget(env) {
+    return parseInt(env.HISTORY_TOKEN_BUDGET, 10) || DEFAULT_TOKEN_BUDGET;
+}
+
+/**
+ * Mensagens mais recentes que cabem no orçamento (sempre começando por uma do usuário)
+ */
+export function buildWindow(history, budget) {
+    const window = [];
+    let used = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        used += estimateTokens(history[i].text);
+        if (used > budget && window.length) break;
+        window.unshift(history[i]);
+    }
+
+    return trimHistory(window, window.length);
+}
+
+/**
+ * Mensagens do request com o resumo das antigas antes da primeira (sempre do usuário)
+ */
+export function withSummary(messages, summary) {
+    if (!summary || !messages.length) return messages;
+
+    const [first, ...rest] = messages;
+    return [
+        { ...first, text: `[Resumo da conversa até aqui (mensagens antigas): ${summary}]\n\n${first.text}` },
+        ...rest
+    ];
+}
+
+/**
+ * Resumir as mensagens antigas quando o histórico estoura o orçamento
+ * Retorna a conversa compactada (ou a mesma, se ainda cabe)
+ */
+export async function compactHistory(conversation, provider, budget) {
+    const history = conversation.history;
+    if (historyTokens(history) <= budget || history.length <= KEEP_RECENT_MESSAGES) {
+        return conversation;
+    }
+
+    const recent = trimHistory(history.slice(-KEEP_RECENT_MESSAGES), KEEP_RECENT_MESSAGES);
+    const older = history.slice(0, history.length - recent.length);
+
+    const transcript = [
+        conversation.summary ? `Resumo anterior: ${conversation.summary}` : '',
+        ...older.map(msg => `${msg.role === 'user' ? 'Cliente' : 'Assistente'}: ${msg.text}`)
+    ].filter(Boolean).join('\n');
+
+    const response = await provider.fetch({
+        system: SUMMARY_PROMPT,
+        messages: [{ role: 'user', text: transcript }]
+    });
+
+    if (!response.ok) {
+        throw new Error(`Resumo do histórico falhou: ${response.status}`);
+    }
+
+    const summary = provider.extractText(await response.json()).trim().substring(0, MAX_SUMMARY_LENGTH);
+    if (!summary) {
+        return conversation;
+    }
+
+    return { ...conversation, summary, history: recent };
+}
@@ -0,0 +1,140 @@
+/**
+ * Painel interno de funil e sessões (GET /admin/insights)
+ *
+ * Agrega os eventos do /events (events.js) e a temperatura dos leads (leads.js).
+ * Acesso só com Authorization: Bearer <ADMIN_TOKEN> (wrangler secret put ADMIN_TOKEN).
+ * Página: admin/insights/index.html
+ */
+
+import { INTEREST_LEVELS } from './leads.js';
+
+// Funil da demo, na ordem (ver docs/analytics-events.md)
+export const FUNNEL_STEPS = ['demo_initialized', 'scenario_selected', 'simulation_started', 'message_sent', 'phase_2_reached'];
+
+// Colunas da tabela por segmento
+const SCENARIO_STEPS = {
+    selected: 'scenario_selected',
+    started: 'simulation_started',
+    phase2: 'phase_2_reached',
+    leads: 'lead_submitted'
+};
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Período pedido em ?days= (1 a 90, padrão 30)
+ */
+export function parsePeriod(value) {
+    const days = parseInt(value, 10);
+    return Number.isInteger(days) ? Math.min(Math.max(days, 1), MAX_PERIOD_DAYS) : DEFAULT_PERIOD_DAYS;
+}
+
+export function periodStart(days, now = Date.now()) {
+    return now - days * DAY_MS;
+}
+
+/**
+ * Conferir o token do painel (comparação em tempo constante)
+ */
+export function isAuthorized(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+    const expected = env.ADMIN_TOKEN || '';
+
+    if (!expected || token.length !== expected.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) {
+        diff |= token.charCodeAt(i) ^ expected.charCodeAt(i);
+    }
+
+    return diff === 0;
+}
+
+export function median(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function rate(part, total) {
+    return total ? Math.round((part / total) * 1000) / 10 : 0; // % com uma casa
+}
+
+/**
+ * Montar o relatório a partir do summarize() do store de eventos
+ * Sessões = sessões de analytics (um carregamento de página cada)
+ */
+export function buildInsights(summary, leadCounts, { days, now = Date.now() }) {
+    const totals = Object.fromEntries(summary.funnel.map(row => [row.event, row.sessions]));
+
+    const funnel = FUNNEL_STEPS.map((step, index) => {
+        const sessions = totals[step] || 0;
+        const previous = index ? totals[FUNNEL_STEPS[index - 1]] || 0 : sessions;
+
+        return {
+            step,
+            sessions,
+            rate: rate(sessions, totals[FUNNEL_STEPS[0]] || 0),
+            stepRate: rate(sessions, previous)
+        };
+    });
+
+    // Por segmento
+    const scenarios = new Map();
+    summary.byScenario.forEach(row => {
+        const scenario = scenarios.get(row.scenario) || { scenario: row.scenario, selected: 0, started: 0, phase2: 0, leads: 0 };
+        Object.entries(SCENARIO_STEPS).forEach(([column, event]) => {
+            if (row.event === event) scenario[column] = row.sessions;
+        });
+        scenarios.set(row.scenario, scenario);
+    });
+
+    const byScenario = [...scenarios.values()]
+        .map(scenario => ({
+            ...scenario,
+            phase2Rate: rate(scenario.phase2, scenario.started),
+            medianTimeToPhase2Ms: median(summary.phase2Times
+                .filter(row => row.scenario === scenario.scenario)
+                .map(row => row.ms))
+        }))
+        .sort((a, b) => b.selected - a.selected);
+
+    // Abandono por mensagem: quantas sessões chegaram na mensagem N e quantas pararam nela
+    const maxIndex = summary.sessions.reduce((max, session) => Math.max(max, session.lastMessage), 0);
+    const dropOff = [];
+    for (let index = 0; index <= maxIndex; index++) {
+        const reached = summary.sessions.filter(session => session.lastMessage >= index).length;
+        const droppedOff = summary.sessions.filter(session => session.lastMessage === index && !session.reachedPhase2).length;
+        dropOff.push({ index, reached, droppedOff, rate: rate(droppedOff, reached) });
+    }
+
+    const leadTotal = INTEREST_LEVELS.reduce((sum, level) => sum + (leadCounts[level] || 0), 0);
+
+    return {
+        period: {
+            days,
+            since: new Date(periodStart(days, now)).toISOString(),
+            generatedAt: new Date(now).toISOString()
+        },
+        funnel,
+        byScenario,
+        timeToPhase2: {
+            medianMs: median(summary.phase2Times.map(row => row.ms)),
+            samples: summary.phase2Times.length
+        },
+        dropOff,
+        leadTemperature: {
+            total: leadTotal,
+            levels: INTEREST_LEVELS.map(level => ({
+                level,
+                leads: leadCounts[level] || 0,
+                rate: rate(leadCounts[level] || 0, leadTotal)
+            }))
+        }
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Mensagens interativas do WhatsApp Business (botões, lista e produtos)
+ *
+ * O modelo termina a resposta com uma diretiva por linha:
+ *   [[botoes: Opção 1 | Opção 2 | Opção 3]]
+ *   [[lista: Texto do botão | Item 1 | Item 2 | ...]]
+ *   [[produto: Nome | Preço | Descrição curta]]   (uma linha por produto)
+ *
+ * O worker tira as diretivas do texto e devolve o campo `interactive`:
+ *   { type: 'buttons', buttons: [...] }
+ *   { type: 'list', button, items: [...] }
+ *   { type: 'products', products: [{ name, price, description }] }
+ */
+
+// Limites do WhatsApp Business (botões de resposta e list messages)
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_LENGTH = 20;
+const MAX_LIST_ITEMS = 10;
+const MAX_LIST_ITEM_LENGTH = 24;
+const MAX_PRODUCTS = 4;
+const MAX_PRODUCT_NAME_LENGTH = 60;
+const MAX_PRICE_LENGTH = 24;
+const MAX_DESCRIPTION_LENGTH = 80;
+
+const DIRECTIVE_PATTERN = /^\s*\[\[\s*(botoes|botões|lista|produto)\s*:\s*(.*?)\s*\]\]\s*$/i;
+
+export const INTERACTIVE_PROMPT = `
+MENSAGENS INTERATIVAS (opcional, como no WhatsApp Business):
+Quando ajudar o cliente a escolher, termine a resposta com UMA destas linhas:
+[[botoes: Opção 1 | Opção 2 | Opção 3]] (até 3 opções curtas)
+[[lista: Ver opções | Item 1 | Item 2 | Item 3]] (até 10 itens da base de conhecimento)
+[[produto: Nome | Preço | Descrição curta]] (uma linha por produto, até 4)
+- Sempre escreva o texto da resposta antes da diretiva
+- Use no máximo um tipo por resposta e só quando fizer sentido
+`;
+
+function splitOptions(value, maxLength) {
+    const options = value
+        .split('|')
+        .map(option => option.trim().substring(0, maxLength))
+        .filter(Boolean);
+
+    return [...new Set(options)];
+}
+
+function toInteractive(type, value) {
+    if (type === 'lista') {
+        const [button, ...items] = splitOptions(value, MAX_LIST_ITEM_LENGTH);
+        return items.length
+            ? { type: 'list', button: button.substring(0, MAX_BUTTON_LENGTH), items: items.slice(0, MAX_LIST_ITEMS) }
+            : null;
+    }
+
+    if (type === 'produto') {
+        // Posições fixas: campo vazio não desloca os outros
+        const [name = '', price = '', description = ''] = value.split('|').map(part => part.trim());
+        return name ? {
+            name: name.substring(0, MAX_PRODUCT_NAME_LENGTH),
+            price: price.substring(0, MAX_PRICE_LENGTH),
+            description: description.substring(0, MAX_DESCRIPTION_LENGTH)
+        } : null;
+    }
+
+    const buttons = splitOptions(value, MAX_BUTTON_LENGTH).slice(0, MAX_BUTTONS);
+    return buttons.length ? { type: 'buttons', buttons } : null;
+}
+
+/**
+ * Separar texto e diretivas da resposta completa
+ * Retorna { text, interactive } (interactive = null sem diretiva válida)
+ */
+export function parseInteractive(reply) {
+    const lines = [];
+    const products = [];
+    let interactive = null;
+
+    (reply || '').split('\n').forEach(line => {
+        const match = line.match(DIRECTIVE_PATTERN);
+        if (!match) {
+            lines.push(line);
+            return;
+        }
+
+        const type = match[1].toLowerCase();
+        const parsed = toInteractive(type, match[2]);
+        if (!parsed) return;
+
+        if (type === 'produto') {
+            products.push(parsed);
+        } else if (!interactive) {
+            interactive = parsed; // Um tipo por mensagem: vale a primeira diretiva
+        }
+    });
+
+    if (!interactive && products.length) {
+        interactive = { type: 'products', products: products.slice(0, MAX_PRODUCTS) };
+    }
+
+    return { text: lines.join('\n').trimEnd(), interactive };
+}
+
+/**
+ * Quanto do texto parcial (stream) pode ir para o client
+ * Segura a partir de "[[" (possível diretiva) e o espaço em branco antes dela
+ */
+export function visibleLength(partialText) {
+    const start = partialText.indexOf('[[');
+    let visible = start === -1 ? partialText : partialText.substring(0, start);
+
+    if (visible.endsWith('[')) {
+        visible = visible.slice(0, -1);
+    }
+
+    return visible.trimEnd().length;
+}
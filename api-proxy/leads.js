@@ -0,0 +1,216 @@
+/**
+ * Captura de leads da fase 2 (consultoria)
+ *
+ * - extractLead: pede ao provider um JSON estruturado a partir do histórico (só no POST /leads)
+ * - validateLeadRequest: body do POST /leads (também usado pelo mock local)
+ * - KvLeadStore: persistência no KV (binding LEADS)
+ * - MemoryLeadStore: mesma interface em memória (wrangler dev sem binding)
+ * - countByInterest(since): temperatura dos leads para o painel /admin/insights
+ *
+ * Contato só é gravado com consentimento explícito (checkbox no chat).
+ */
+
+export const INTEREST_LEVELS = ['quente', 'morno', 'frio'];
+export const NEXT_STEPS = ['demonstracao', 'material', 'nenhum'];
+export const LEAD_FIELDS = ['sessionId', 'consent', 'contact'];
+
+// Leitura do KV em páginas de 1000 chaves (limite de segurança por request do painel)
+const MAX_LIST_PAGES = 10;
+
+function emptyInterestCounts() {
+    return Object.fromEntries(INTEREST_LEVELS.map(level => [level, 0]));
+}
+
+const LEAD_EXTRACTION_PROMPT = `
+Você analisa conversas de demonstração do EnvolveAI.Bot (assistente de WhatsApp para empresas).
+Extraia os dados do lead (o visitante) e responda SOMENTE com um objeto JSON neste formato:
+
+{
+  "name": string | null,
+  "businessType": string | null,
+  "currentAutomation": string | null,
+  "interestLevel": "quente" | "morno" | "frio",
+  "nextStep": "demonstracao" | "material" | "nenhum",
+  "contact": { "email": string | null, "phone": string | null }
+}
+
+Classificação:
+- quente: pediu demonstração
+- morno: pediu material
+- frio: não quis nada
+
+Use null quando a informação não apareceu na conversa. Nunca invente dados.
+`;
+
+const MAX_FIELD_LENGTH = 120;
+
+function cleanString(value, maxLength = MAX_FIELD_LENGTH) {
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    return trimmed ? trimmed.substring(0, maxLength) : null;
+}
+
+export function cleanEmail(value) {
+    const email = cleanString(value, 254);
+    return email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email.toLowerCase() : null;
+}
+
+// Telefone BR: 10 a 13 dígitos (com ou sem DDI 55)
+export function cleanPhone(value) {
+    const digits = typeof value === 'string' ? value.replace(/\D/g, '') : '';
+    return digits.length >= 10 && digits.length <= 13 ? digits : null;
+}
+
+/**
+ * Validar body do /leads: retorna mensagem de erro ou null
+ */
+export function validateLeadRequest(body) {
+    const unknownField = Object.keys(body).find(field => !LEAD_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    // LGPD: sem consentimento explícito nenhum dado de contato é gravado
+    if (body.consent !== true) {
+        return 'Consentimento obrigatório';
+    }
+
+    if (!body.contact || typeof body.contact !== 'object') {
+        return 'Contato inválido';
+    }
+
+    if (!cleanEmail(body.contact.email) && !cleanPhone(body.contact.phone)) {
+        return 'Informe um e-mail ou WhatsApp válido';
+    }
+
+    return null;
+}
+
+/**
+ * Validar/normalizar o JSON devolvido pelo modelo
+ */
+export function normalizeLead(raw) {
+    const data = raw && typeof raw === 'object' ? raw : {};
+
+    return {
+        name: cleanString(data.name),
+        businessType: cleanString(data.businessType),
+        currentAutomation: cleanString(data.currentAutomation),
+        interestLevel: INTEREST_LEVELS.includes(data.interestLevel) ? data.interestLevel : 'frio',
+        nextStep: NEXT_STEPS.includes(data.nextStep) ? data.nextStep : 'nenhum',
+        contact: {
+            email: cleanEmail(data.contact?.email),
+            phone: cleanPhone(data.contact?.phone)
+        }
+    };
+}
+
+/**
+ * Extrair o lead do histórico via chamada JSON ao provider
+ */
+export async function extractLead(provider, history, summary = null) {
+    const transcript = [
+        summary ? `Resumo do início da conversa: ${summary}` : '',
+        ...history.map(msg => `${msg.role === 'user' ? 'Visitante' : 'Assistente'}: ${msg.text}`)
+    ].filter(Boolean).join('\n');
+
+    const response = await provider.fetch({
+        system: LEAD_EXTRACTION_PROMPT,
+        messages: [{ role: 'user', text: transcript }],
+        json: true
+    });
+
+    if (!response.ok) {
+        throw new Error(`Extração de lead falhou: ${response.status}`);
+    }
+
+    const text = provider.extractText(await response.json());
+
+    // Alguns modelos locais ainda embrulham o JSON em ```json ... ```
+    const json = text.substring(text.indexOf('{'), text.lastIndexOf('}') + 1);
+    return normalizeLead(JSON.parse(json));
+}
+
+/**
+ * Store no KV (uma chave por sessão: reenviar o formulário atualiza o lead)
+ */
+export class KvLeadStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async save(lead) {
+        await this.namespace.put(`lead:${lead.sessionId}`, JSON.stringify(lead), {
+            metadata: {
+                interestLevel: lead.interestLevel,
+                scenario: lead.scenario,
+                createdAt: lead.createdAt
+            }
+        });
+    }
+
+    /**
+     * Contagem por temperatura desde `since` (epoch ms), só pelos metadados das chaves
+     */
+    async countByInterest(since) {
+        const counts = emptyInterestCounts();
+        let cursor;
+
+        for (let page = 0; page < MAX_LIST_PAGES; page++) {
+            const list = await this.namespace.list({ prefix: 'lead:', cursor });
+
+            list.keys.forEach(({ metadata }) => {
+                if (metadata && Date.parse(metadata.createdAt) >= since && metadata.interestLevel in counts) {
+                    counts[metadata.interestLevel]++;
+                }
+            });
+
+            if (list.list_complete) break;
+            cursor = list.cursor;
+        }
+
+        return counts;
+    }
+}
+
+/**
+ * Store em memória (por isolate)
+ */
+export class MemoryLeadStore {
+    constructor() {
+        this.leads = new Map();
+    }
+
+    async save(lead) {
+        this.leads.set(lead.sessionId, lead);
+    }
+
+    async countByInterest(since) {
+        const counts = emptyInterestCounts();
+
+        this.leads.forEach(lead => {
+            if (Date.parse(lead.createdAt) >= since && lead.interestLevel in counts) {
+                counts[lead.interestLevel]++;
+            }
+        });
+
+        return counts;
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryLeadStore();
+
+export function createLeadStore(env) {
+    if (!env.LEADS) {
+        console.warn('⚠️ Binding LEADS ausente: leads ficam só em memória');
+        return memoryStore;
+    }
+
+    return new KvLeadStore(env.LEADS);
+}
@@ -0,0 +1,19 @@
+-- Eventos de analytics da demo (POST /events, ver events.js)
+-- Aplicar: npx wrangler d1 migrations apply envolveai-analytics
+
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    scenario TEXT,
+    data TEXT NOT NULL DEFAULT '{}',
+    session_duration INTEGER,
+    schema_version INTEGER NOT NULL DEFAULT 1,
+    occurred_at INTEGER NOT NULL,
+    received_at INTEGER NOT NULL
+);
+
+-- Funil por evento/segmento e por período
+CREATE INDEX IF NOT EXISTS idx_events_event_occurred ON events (event, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_events_scenario_occurred ON events (scenario, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_events_session ON events (session_id);
@@ -0,0 +1,18 @@
+-- Relatórios de erro do site (POST /errors, ver errors.js)
+-- Aplicar: npx wrangler d1 migrations apply envolveai-analytics
+
+CREATE TABLE IF NOT EXISTS error_reports (
+    fingerprint TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    component TEXT NOT NULL,
+    name TEXT NOT NULL,
+    message TEXT NOT NULL,
+    stack TEXT NOT NULL DEFAULT '',
+    page TEXT NOT NULL DEFAULT '/',
+    count INTEGER NOT NULL DEFAULT 1,
+    breadcrumbs TEXT NOT NULL DEFAULT '[]',
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_error_reports_last_seen ON error_reports (last_seen);
@@ -0,0 +1,552 @@
+/**
+ * Mock local do proxy (sem rede e sem chave de API)
+ *
+ * Mesmo contrato do cloudflare-worker.js: GET /providers, POST / e /pricing (JSON ou SSE),
+ * POST /leads, /events, /errors, /verify e /checkout, GET /checkout/status. As respostas do chat
+ * vêm das conversas gravadas em fixtures/<cenário>.json (fase 2 e respostas barradas pela guarda
+ * de saída em fixtures/shared.json); as do assistente de planos, de fixtures/pricing.json.
+ * Mensagens passam pela mesma moderação de entrada do worker (sanitizeInput/checkInput).
+ * Checkout com o provider de teste de payments.js: PIX confirmado depois de ~10s, cartão volta
+ * direto para a página de sucesso e e-mails @recusado.test caem na página de falha.
+ *
+ * Uso: node api-proxy/mock/server.mjs [--port=8787] [--latency=300] [--stream-delay=35]
+ *                                      [--error-rate=0.2] [--error=503]
+ * --error: 500 | 502 | 503 | 429 | 429-global | timeout | drop
+ * Variáveis equivalentes: MOCK_PORT, MOCK_LATENCY_MS, MOCK_STREAM_DELAY_MS, MOCK_ERROR_RATE, MOCK_ERROR
+ * Páginas de retorno do checkout: MOCK_CHECKOUT_RETURN_URL (padrão <origem do site>/checkout/)
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+// Mesma validação, campos, modelos, valores e provider de teste do worker (módulos sem dependência do runtime da Cloudflare)
+import { validateChatRequest } from '../chat.js';
+import { validatePricingRequest } from '../plans.js';
+import { checkInput, sanitizeInput } from '../moderation.js';
+import { listProviders } from '../providers.js';
+import { RATE_LIMIT_EXPOSED_HEADERS } from '../rate-limit.js';
+import { validateLeadRequest } from '../leads.js';
+import { MemoryOrderStore, buildOrder, isValidOrderId, publicOrder, shouldRefreshStatus, validateCheckoutRequest } from '../checkout.js';
+import { checkoutReturnUrls, createPaymentProvider } from '../payments.js';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = join(ROOT, 'fixtures');
+const SCENARIOS_DIR = join(ROOT, '..', '..', 'assets', 'data', 'scenarios');
+const PLANS_FILE = join(ROOT, '..', '..', 'assets', 'data', 'plans.json');
+
+// Modelos do worker com os nomes padrão (sem env); no mock todos respondem
+const PROVIDERS = listProviders({});
+
+// Turno gravado só responde se cobrir pelo menos metade das palavras dele
+const MIN_MATCH_SCORE = 0.5;
+
+function parseOptions(argv, env) {
+    const args = Object.fromEntries(argv
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...value] = arg.slice(2).split('=');
+            return [key, value.join('=')];
+        }));
+
+    return {
+        port: parseInt(args.port || env.MOCK_PORT, 10) || 8787,
+        latencyMs: parseInt(args.latency || env.MOCK_LATENCY_MS, 10) || 300,
+        streamDelayMs: parseInt(args['stream-delay'] || env.MOCK_STREAM_DELAY_MS, 10) || 35,
+        errorRate: Math.min(1, Math.max(0, parseFloat(args['error-rate'] || env.MOCK_ERROR_RATE) || 0)),
+        error: args.error || env.MOCK_ERROR || '503'
+    };
+}
+
+const options = parseOptions(process.argv.slice(2), process.env);
+
+// sessionId → { scenario, phase, used: Set de turnos já respondidos } (pricing:<sessionId> → { used })
+const sessions = new Map();
+const fixtures = new Map();
+const orders = new MemoryOrderStore();
+const paymentProvider = createPaymentProvider({ ENVIRONMENT: 'development' }, 'mock');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Latência com variação de ±30% para o typing indicator e o streaming parecerem reais
+const jitter = (ms) => Math.round(ms * (0.7 + Math.random() * 0.6));
+
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function loadScenario(id) {
+    if (typeof id !== 'string' || !/^[a-z0-9-]{2,32}$/.test(id)) return null;
+
+    return readJson(join(SCENARIOS_DIR, `${id}.json`));
+}
+
+async function loadFixture(name) {
+    if (!fixtures.has(name)) {
+        fixtures.set(name, (await readJson(join(FIXTURES_DIR, `${name}.json`))) || {});
+    }
+
+    return fixtures.get(name);
+}
+
+function normalizeForMatch(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function words(text) {
+    return normalizeForMatch(text)
+        .split(' ')
+        .filter(word => word.length >= 3);
+}
+
+function matchScore(message, turn) {
+    const expected = new Set(words(turn.user));
+    if (!expected.size) return turn.user.trim() === message.trim() ? 1 : 0;
+
+    const received = new Set(words(message));
+    return [...expected].filter(word => received.has(word)).length / expected.size;
+}
+
+/**
+ * Escolher o turno gravado: mais parecido com a mensagem ou o próximo ainda não usado
+ */
+function chooseTurn(session, turns, blockedTurns, message) {
+    let best = null;
+    let bestScore = 0;
+    [...turns, ...blockedTurns].forEach(turn => {
+        const score = matchScore(message, turn);
+        if (score > bestScore) {
+            best = turn;
+            bestScore = score;
+        }
+    });
+
+    const turn = bestScore >= MIN_MATCH_SCORE
+        ? best
+        : turns.find(candidate => !session.used.has(candidate));
+
+    if (turn) {
+        session.used.add(turn);
+    }
+
+    return turn || null;
+}
+
+async function pickTurn(session, scenario, message) {
+    const own = await loadFixture(scenario.id);
+    const shared = await loadFixture('shared');
+    const turns = session.phase === 2 ? shared.phase2 || [] : own.phase1 || [];
+    const turn = chooseTurn(session, turns, shared.blocked || [], message);
+
+    if (!turn) {
+        return { text: scenario.fallback, interactive: null };
+    }
+
+    if (turn.blocked) {
+        return { text: '', interactive: null, blocked: turn.blocked };
+    }
+
+    return {
+        text: turn.text.replace('{pitch}', scenario.pitch),
+        interactive: turn.interactive || null
+    };
+}
+
+/**
+ * Plano citado na mensagem (mesma regra do detectPlan em plans.js)
+ */
+function detectPlan(catalog, message) {
+    const normalized = ` ${normalizeForMatch(message)} `;
+    const mentioned = catalog.plans.filter(plan =>
+        [plan.name, ...plan.aliases].some(alias => normalized.includes(` ${normalizeForMatch(alias)} `))
+    );
+
+    return mentioned.length === 1 ? mentioned[0].id : null;
+}
+
+/**
+ * Turno do assistente de planos: gravados para o plano da conversa ou para qualquer plano
+ */
+async function pickPricingTurn(session, plan, message) {
+    const own = await loadFixture('pricing');
+    const shared = await loadFixture('shared');
+    const turns = (own.turns || []).filter(turn => !turn.plan || turn.plan === plan.id);
+    const turn = chooseTurn(session, turns, shared.blocked || [], message);
+
+    if (!turn) {
+        return { text: `${plan.title}: ${plan.summary}`, interactive: null };
+    }
+
+    if (turn.blocked) {
+        return { text: '', interactive: null, blocked: turn.blocked };
+    }
+
+    return { text: turn.text, interactive: turn.interactive || null };
+}
+
+// ===== RESPOSTAS (mesmos headers CORS do worker) =====
+
+function corsHeaders(origin) {
+    const headers = { 'Vary': 'Origin' };
+    if (!origin) return headers;
+
+    return {
+        ...headers,
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Turnstile-Pass',
+        'Access-Control-Expose-Headers': RATE_LIMIT_EXPOSED_HEADERS
+    };
+}
+
+// Só desenvolvimento: qualquer porta de localhost/127.0.0.1 e "null" (index.html aberto do disco)
+function isAllowedOrigin(origin) {
+    return origin === 'null' || /^http:\/\/(localhost|127\.0\.0\.1)(:\d{1,5})?$/.test(origin || '');
+}
+
+function sendJson(res, origin, status, data, extraHeaders = {}) {
+    res.writeHead(status, {
+        ...extraHeaders,
+        'Content-Type': 'application/json',
+        ...corsHeaders(origin)
+    });
+    res.end(JSON.stringify(data));
+}
+
+async function sendStream(res, origin, reply, provider, dropMidway = false, meta = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        ...corsHeaders(origin)
+    });
+
+    const emit = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    const chunks = reply.text.match(/\S+\s*/g) || [];
+
+    for (const [index, chunk] of chunks.entries()) {
+        if (res.destroyed) return;
+
+        // drop: conexão cai no meio do stream
+        if (dropMidway && index === Math.floor(chunks.length / 2)) {
+            res.destroy();
+            return;
+        }
+
+        emit({ delta: chunk });
+        await delay(jitter(options.streamDelayMs));
+    }
+
+    emit({
+        ...meta,
+        done: true,
+        provider: provider.id,
+        model: provider.model,
+        interactive: reply.interactive,
+        ...(reply.blocked ? { blocked: reply.blocked } : {})
+    });
+    res.end();
+}
+
+/**
+ * Erro injetado (--error-rate / --error): true se a resposta já foi tratada
+ */
+function injectError(res, origin, provider, error) {
+    switch (error) {
+        case 'timeout':
+            return true; // Nunca responde: o client aborta pelo próprio timeout
+        case 'drop':
+            return false; // Tratado no meio do stream (ou sem resposta no modo JSON)
+        case '429':
+        case '429-global': {
+            const scope = error === '429' ? 'ip' : 'global';
+            const retryAfter = scope === 'ip' ? 10 : 3600;
+            sendJson(res, origin, 429, {
+                error: scope === 'ip'
+                    ? 'Rate limit excedido. Tente novamente em alguns segundos.'
+                    : 'A demonstração atingiu o limite diário de uso. Volte amanhã!',
+                scope
+            }, {
+                'Retry-After': String(retryAfter),
+                'X-RateLimit-Limit': '30',
+                'X-RateLimit-Remaining': '0',
+                'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000) + retryAfter)
+            });
+            return true;
+        }
+        default:
+            sendJson(res, origin, parseInt(error, 10) || 503, {
+                error: 'Erro ao processar com IA',
+                details: 'Erro interno',
+                provider: provider.id
+            });
+            return true;
+    }
+}
+
+// ===== ROTAS =====
+
+async function handleChat(body, res, origin) {
+    const validationError = validateChatRequest(body);
+    if (validationError) {
+        return sendJson(res, origin, 400, { error: validationError });
+    }
+
+    const scenario = await loadScenario(body.scenario);
+    if (!scenario) {
+        return sendJson(res, origin, 400, { error: 'Cenário inválido' });
+    }
+
+    // Troca de cenário = conversa nova; fase nunca regride (igual ao worker)
+    const saved = sessions.get(body.sessionId);
+    const session = saved && saved.scenario === scenario.id
+        ? { ...saved, phase: Math.max(saved.phase, body.phase) }
+        : { scenario: scenario.id, phase: body.phase, used: new Set() };
+    sessions.set(body.sessionId, session);
+
+    const provider = PROVIDERS.find(p => p.id === (body.provider || scenario.provider)) || PROVIDERS[0];
+
+    const injected = Math.random() < options.errorRate ? options.error : null;
+    await delay(jitter(options.latencyMs));
+
+    if (injected) {
+        console.log(`💥 Erro injetado (${injected}) na sessão ${body.sessionId}`);
+    }
+
+    if (injected && injectError(res, origin, provider, injected)) {
+        return;
+    }
+
+    if (injected === 'drop' && body.stream !== true) {
+        res.destroy();
+        return;
+    }
+
+    // Mesma moderação de entrada do worker; as fixtures só simulam bloqueios da saída
+    const message = sanitizeInput(body.message);
+    const inputBlocked = checkInput(message, body.phase);
+    const reply = inputBlocked
+        ? { text: '', interactive: null, blocked: inputBlocked }
+        : await pickTurn(session, scenario, message);
+
+    // Comparação entre modelos não avança a conversa
+    if (body.compare === true) {
+        session.used.clear();
+    }
+
+    if (body.stream === true && !reply.blocked) {
+        return sendStream(res, origin, reply, provider, injected === 'drop');
+    }
+
+    sendJson(res, origin, 200, { ...reply, provider: provider.id, model: provider.model });
+}
+
+async function handlePricing(body, res, origin) {
+    const validationError = validatePricingRequest(body);
+    if (validationError) {
+        return sendJson(res, origin, 400, { error: validationError });
+    }
+
+    const catalog = await readJson(PLANS_FILE);
+    if (!catalog) {
+        return sendJson(res, origin, 503, { error: 'Planos indisponíveis no momento' });
+    }
+
+    const current = catalog.plans.find(plan => plan.id === body.plan);
+    if (!current) {
+        return sendJson(res, origin, 400, { error: 'Plano inválido' });
+    }
+
+    // Plano citado na mensagem tem prioridade sobre o plano da tela (igual ao worker)
+    const message = sanitizeInput(body.message);
+    const detected = detectPlan(catalog, message);
+    const plan = catalog.plans.find(candidate => candidate.id === detected) || current;
+
+    const sessionKey = `pricing:${body.sessionId}`;
+    const session = sessions.get(sessionKey) || { used: new Set() };
+    sessions.set(sessionKey, session);
+
+    const provider = PROVIDERS[0];
+
+    const injected = Math.random() < options.errorRate ? options.error : null;
+    await delay(jitter(options.latencyMs));
+
+    if (injected) {
+        console.log(`💥 Erro injetado (${injected}) no /pricing da sessão ${body.sessionId}`);
+    }
+
+    if (injected && injectError(res, origin, provider, injected)) {
+        return;
+    }
+
+    if (injected === 'drop' && body.stream !== true) {
+        res.destroy();
+        return;
+    }
+
+    const inputBlocked = checkInput(message, 1);
+    const reply = inputBlocked
+        ? { text: '', interactive: null, blocked: inputBlocked }
+        : await pickPricingTurn(session, plan, message);
+
+    if (body.stream === true && !reply.blocked) {
+        return sendStream(res, origin, reply, provider, injected === 'drop', { plan: plan.id });
+    }
+
+    sendJson(res, origin, 200, { ...reply, plan: inputBlocked ? body.plan : plan.id, provider: provider.id, model: provider.model });
+}
+
+async function handleCheckout(body, res, origin) {
+    // Sem catálogo: mesmo 503 com contato do worker (o client oferece falar com um especialista)
+    const catalog = await readJson(PLANS_FILE);
+    if (!catalog) {
+        return sendJson(res, origin, 503, { error: 'Checkout indisponível: fale com um especialista', contact: true });
+    }
+
+    const validationError = validateCheckoutRequest(body, catalog);
+    if (validationError) {
+        return sendJson(res, origin, 400, { error: validationError });
+    }
+
+    const injected = Math.random() < options.errorRate ? options.error : null;
+    await delay(jitter(options.latencyMs));
+
+    // Falha do provider de pagamento (o worker responde 502)
+    if (injected) {
+        console.log(`💥 Erro injetado (${injected}) no /checkout da sessão ${body.sessionId}`);
+        return sendJson(res, origin, 502, { error: 'Não foi possível iniciar o pagamento. Tente novamente.' });
+    }
+
+    const order = buildOrder(body, catalog);
+    const returnUrl = process.env.MOCK_CHECKOUT_RETURN_URL || (origin ? `${origin}/checkout/` : undefined);
+    const intent = await paymentProvider.createIntent(order, checkoutReturnUrls({ CHECKOUT_RETURN_URL: returnUrl }, order));
+
+    await orders.save({ ...order, provider: intent.provider, paymentId: intent.paymentId, status: intent.status });
+    console.log(`🧾 Pedido ${order.id}: ${order.plan.name}, ${order.cycle.label}, ${order.method}`);
+
+    sendJson(res, origin, 201, {
+        orderId: order.id,
+        status: intent.status,
+        amount: order.amount,
+        method: order.method,
+        redirectUrl: intent.redirectUrl || null,
+        pix: intent.pix || null,
+        test: intent.test
+    });
+}
+
+async function handleCheckoutStatus(body, res, origin, url) {
+    const id = url.searchParams.get('pedido');
+    if (!isValidOrderId(id)) {
+        return sendJson(res, origin, 400, { error: 'Pedido inválido' });
+    }
+
+    const order = await orders.get(id);
+    if (!order) {
+        return sendJson(res, origin, 404, { error: 'Pedido não encontrado' });
+    }
+
+    if (shouldRefreshStatus(order)) {
+        order.status = await paymentProvider.getStatus(order);
+        order.updatedAt = new Date().toISOString();
+    }
+
+    sendJson(res, origin, 200, publicOrder(order));
+}
+
+const ROUTES = {
+    'GET /providers': (body, res, origin) => sendJson(res, origin, 200, {
+        providers: PROVIDERS.map(provider => ({ ...provider, enabled: true }))
+    }),
+    'GET /admin/insights': (body, res, origin) => sendJson(res, origin, 503, {
+        error: 'Painel desativado: configure ADMIN_TOKEN'
+    }),
+    'GET /checkout/status': handleCheckoutStatus,
+    'POST /': handleChat,
+    'POST /pricing': handlePricing,
+    'POST /leads': (body, res, origin) => {
+        const validationError = validateLeadRequest(body);
+        if (validationError) {
+            return sendJson(res, origin, 400, { error: validationError });
+        }
+
+        // Sem dados de contato no log
+        console.log(`📇 Lead recebido na sessão ${body.sessionId} (não gravado)`);
+        sendJson(res, origin, 201, { ok: true });
+    },
+    'POST /events': (body, res, origin) => {
+        const events = Array.isArray(body.events) ? body.events : [];
+        console.log(`📊 ${events.length} evento(s): ${events.map(event => event.event).join(', ')}`);
+        sendJson(res, origin, 202, { accepted: events.length, rejected: 0 });
+    },
+    'POST /errors': (body, res, origin) => {
+        const reports = Array.isArray(body.reports) ? body.reports : [];
+        reports.forEach(report => console.log(`🐞 ${report.component || 'app'}: ${report.message}`));
+        sendJson(res, origin, 202, { accepted: reports.length });
+    },
+    'POST /verify': (body, res, origin) => sendJson(res, origin, 404, {
+        error: 'Verificação anti-robô desativada'
+    }),
+    'POST /checkout': handleCheckout
+};
+
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
+
+const server = createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin)) {
+        return sendJson(res, null, 403, { error: 'Origem não autorizada' });
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { ...corsHeaders(origin), 'Access-Control-Max-Age': '86400' });
+        return res.end();
+    }
+
+    const url = new URL(req.url, 'http://mock');
+    const route = ROUTES[`${req.method} ${url.pathname}`];
+    if (!route) {
+        const status = ['GET', 'POST'].includes(req.method) ? 404 : 405;
+        return sendJson(res, origin, status, { error: status === 404 ? 'Rota não encontrada' : 'Método não permitido' });
+    }
+
+    try {
+        const body = req.method === 'POST' ? await readBody(req) : null;
+        if (req.method === 'POST' && !body) {
+            return sendJson(res, origin, 400, { error: 'JSON inválido' });
+        }
+
+        await route(body, res, origin, url);
+    } catch (error) {
+        console.error('Mock Error:', error);
+        if (!res.headersSent) {
+            sendJson(res, origin, 500, { error: 'Erro interno do servidor', message: error.message });
+        }
+    }
+});
+
+server.listen(options.port, '127.0.0.1', () => {
+    console.log(`🧪 Mock do proxy em http://127.0.0.1:${options.port}`);
+    console.log(`   latência ${options.latencyMs}ms, stream ${options.streamDelayMs}ms/pedaço, erros ${options.errorRate * 100}% (${options.error})`);
+});
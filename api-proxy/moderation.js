@@ -0,0 +1,150 @@
+/**
+ * Camada de segurança do chat (POST /) e do assistente de planos (POST /pricing)
+ *
+ * - sanitizeInput / checkInput: limpeza da mensagem e detecção de prompt injection
+ *   (ignorar instruções, revelar o prompt, trocar de papel, tags de sistema)
+ * - GEMINI_SAFETY_SETTINGS: filtros de conteúdo do próprio Gemini (providers.js)
+ * - createOutputGuard / createTextGuard: bloqueia respostas que vazam o prompt do sistema
+ *   (Cascade/Poke, regras) ou citam preços que não estão na base de conhecimento
+ *
+ * Bloqueio = { stage: 'input' | 'output', reason }. O client troca por uma resposta
+ * no tom do assistente; o motivo nunca aparece para o visitante e a troca não entra no histórico.
+ */
+
+import { END_SIMULATION } from './prompts.js';
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Gemini: bloqueio a partir de probabilidade média (padrão da API é mais permissivo em alguns modelos)
+export const GEMINI_SAFETY_SETTINGS = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+// Testados no texto normalizado (minúsculo, sem acento, espaços simples)
+const INJECTION_PATTERNS = [
+    // Ignorar / esquecer as instruções
+    /\b(ignore|ignora|ignorar|ignorem|esqueca|esquecer|desconsidere|desconsiderar|disregard|forget)\b.{0,40}\b(instruc|instruct|regras|rules|prompt|orientac|diretrizes)/,
+    // Revelar o prompt ou as regras
+    /\b(revele|revela|revelar|mostre|mostra|mostrar|repita|repete|repetir|imprima|escreva|copie|reveal|show|repeat|print|output)\b.{0,40}\b(seu prompt|o prompt|your prompt|the prompt|suas instruc|as instruc|your instructions|suas regras|regras do sistema|mensagem do sistema|system message)/,
+    /\b(system|sistema) ?prompt\b|\bprompt (do|de) sistema\b|\bsystem ?instruction/,
+    /\b(texto|mensagem|instrucoes|text|instructions) (acima|above|anteriores|iniciais|initial)\b.{0,20}\b(completo|completa|inteiro|inteira|verbatim|na integra|exatamente)/,
+    // Troca de papel / jailbreak
+    /\b(modo|mode) (desenvolvedor|developer|dan|jailbreak|admin|administrador|debug|deus|god)\b/,
+    /\bjailbreak\b|\bdo anything now\b|\bsem (nenhuma )?(restricoes|filtros|censura)\b|\bwithout (any )?(restrictions|filters)\b/,
+    /\b(a partir de agora|de agora em diante|from now on)\b.{0,40}\b(voce e|voce sera|you are|you will be|aja como|atue como|act as|finja|pretend)\b/,
+    /\b(aja|atue|finja|pretend|act)( como| que| to be| as)\b.{0,30}\b(chatgpt|gpt|gemini|llm|modelo de linguagem|language model|ia sem|ai without|outro assistente|another assistant)\b/,
+    // Delimitadores de papel dos modelos de chat
+    /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?(inst|system)\]|(^|\n)\s*(#{2,} ?)?(system|assistant|sistema) ?:/
+];
+
+// Trechos que só existem no prompt do sistema (prompts.js / interactive.js)
+const LEAK_PATTERNS = [
+    /\bCascade\b/,
+    /\bPoke\b/,
+    /END SIMULATION/i,
+    /sistema multiagente/i,
+    /agente controlador/i,
+    /base de conhecimento \(use apenas/i,
+    /regras cr[ií]ticas/i,
+    /classificar o lead/i,
+    /nunca (diga|revele) que/i,
+    /mensagens interativas \(opcional/i,
+    /📌\s*FASE/i,
+    /system ?instruction/i
+];
+
+const PRICE_PATTERN = /R\$\s*(\d{1,3}(?:\.\d{3})+|\d+)(?:,(\d{1,2}))?/g;
+
+// Totais de pedido aceitos: até 10 unidades de um item, somadas ou não a outro item da base
+const MAX_UNITS_PER_ITEM = 10;
+
+/**
+ * Limpar a mensagem do visitante (caracteres de controle, invisíveis e tamanho)
+ */
+export function sanitizeInput(message) {
+    return message
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+        .replace(/[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .substring(0, MAX_MESSAGE_LENGTH);
+}
+
+function normalizeForMatch(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .toLowerCase()
+        .replace(/[ \t]+/g, ' ');
+}
+
+/**
+ * Verificar a mensagem antes de chamar o modelo: retorna o bloqueio ou null
+ * A mensagem de controle só é aceita sozinha e na virada para a fase 2 (ver transitionToPhase2 no client)
+ */
+export function checkInput(message, phase) {
+    if (message === END_SIMULATION) {
+        return phase === 2 ? null : { stage: 'input', reason: 'control' };
+    }
+
+    if (message.includes(END_SIMULATION)) {
+        return { stage: 'input', reason: 'control' };
+    }
+
+    const normalized = normalizeForMatch(message);
+    return INJECTION_PATTERNS.some(pattern => pattern.test(normalized))
+        ? { stage: 'input', reason: 'injection' }
+        : null;
+}
+
+function toCents(integerPart, decimals = '') {
+    return parseInt(integerPart.replace(/\./g, ''), 10) * 100 + parseInt(decimals.padEnd(2, '0') || '0', 10);
+}
+
+function extractPrices(text) {
+    return [...text.matchAll(PRICE_PATTERN)].map(match => toCents(match[1], match[2]));
+}
+
+// Preço conhecido, k unidades de um preço (k <= maxUnits) ou isso mais outro preço da base
+function isKnownPrice(cents, known, maxUnits) {
+    if (known.has(cents)) return true;
+
+    return [0, ...known].some(extra => [...known].some(price => {
+        const rest = cents - extra;
+        return price > 0 && rest > 0 && rest % price === 0 && rest / price <= maxUnits;
+    }));
+}
+
+/**
+ * Guarda da resposta do modelo para um cenário
+ * Retorna check(text): bloqueio ou null. No stream, chamar só com palavras completas
+ * (um preço pela metade, como "R$ 3" de "R$ 35", seria falso positivo)
+ */
+export function createOutputGuard(scenario) {
+    return createTextGuard([scenario.business, scenario.botName, scenario.greeting, scenario.fallback, scenario.pitch, ...scenario.knowledge].join('\n'));
+}
+
+/**
+ * Guarda a partir do texto da base (preços citáveis e marcadores que não contam como vazamento)
+ * maxUnits: multiplicador aceito por preço (unidades de um pedido, meses de mensalidade)
+ */
+export function createTextGuard(sourceText, { maxUnits = MAX_UNITS_PER_ITEM } = {}) {
+    // Marcadores que a própria base usa (ex: um negócio chamado Cascade) não contam como vazamento
+    const leakPatterns = LEAK_PATTERNS.filter(pattern => !pattern.test(sourceText));
+    const knownPrices = new Set(extractPrices(sourceText));
+
+    return (text) => {
+        if (leakPatterns.some(pattern => pattern.test(text))) {
+            return { stage: 'output', reason: 'leak' };
+        }
+
+        if (extractPrices(text).some(cents => !isKnownPrice(cents, knownPrices, maxUnits))) {
+            return { stage: 'output', reason: 'price' };
+        }
+
+        return null;
+    };
+}
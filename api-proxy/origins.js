@@ -0,0 +1,68 @@
+/**
+ * Origens autorizadas (CORS)
+ *
+ * ALLOWED_ORIGINS no wrangler.toml: lista separada por vírgula, comparada com a origem exata
+ *   https://envolveai.bot               origem exata
+ *   https://*.envolveai.pages.dev       um subdomínio qualquer (previews do Cloudflare Pages)
+ *   http://127.0.0.1:*                  qualquer porta (desenvolvimento local)
+ * Sem a variável vale DEFAULT_ALLOWED_ORIGINS.
+ */
+
+export const DEFAULT_ALLOWED_ORIGINS = [
+    'https://envolveai.bot',
+    'https://www.envolveai.bot',
+    'http://localhost:5500', // Para desenvolvimento local
+    'http://127.0.0.1:5500'
+];
+
+const ORIGIN_PATTERN = /^(https?):\/\/((?:\*\.)?[a-z0-9.-]+)(?::(\d{1,5}|\*))?$/;
+
+// Cache por isolate: valor da variável → lista compilada
+const compiled = new Map();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converter uma entrada da lista em RegExp ancorada (null = entrada inválida, ignorada)
+ * "*" só vale como primeiro rótulo do host ("*.dominio") ou como porta (":*")
+ */
+function compileOrigin(entry) {
+    const match = entry.trim().toLowerCase().match(ORIGIN_PATTERN);
+    if (!match) {
+        if (entry.trim()) console.warn(`⚠️ Origem inválida em ALLOWED_ORIGINS: ${entry}`);
+        return null;
+    }
+
+    const [, scheme, host, port] = match;
+    const hostPattern = host.startsWith('*.')
+        ? `[a-z0-9-]+\\.${escapeRegExp(host.slice(2))}`
+        : escapeRegExp(host);
+    const portPattern = port === '*' ? '(?::\\d{1,5})?' : port ? `:${port}` : '';
+
+    return new RegExp(`^${scheme}://${hostPattern}${portPattern}$`);
+}
+
+function allowedOrigins(env) {
+    const value = env.ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS.join(',');
+
+    if (!compiled.has(value)) {
+        compiled.set(value, value.split(',').map(compileOrigin).filter(Boolean));
+    }
+
+    return compiled.get(value);
+}
+
+/**
+ * Origem do request é autorizada?
+ * Só aceita o formato de Origin (esquema://host[:porta]); caminho, usuário ou "null" são recusados
+ */
+export function isAllowedOrigin(origin, env) {
+    if (typeof origin !== 'string' || !ORIGIN_PATTERN.test(origin.toLowerCase()) || origin.includes('*')) {
+        return false;
+    }
+
+    const normalized = origin.toLowerCase();
+    return allowedOrigins(env).some(pattern => pattern.test(normalized));
+}
@@ -0,0 +1,279 @@
+/**
+ * Adaptadores de pagamento do checkout
+ *
+ * - MercadoPagoAdapter: PIX (POST /v1/payments) e cartão (Checkout Pro, POST /checkout/preferences)
+ * - MockPaymentAdapter: sem rede e sem chave (wrangler dev e mock local); nunca em ENVIRONMENT=production
+ *
+ * Intenção normalizada: { provider, paymentId, status, redirectUrl?, pix?: { code, qrCodeBase64?, expiresAt }, test }
+ * Status normalizado: 'pending' | 'paid' | 'failed'
+ * Cobrança: primeiro ciclo + taxa de setup; as renovações seguem pelo contrato com o cliente.
+ */
+
+const MERCADOPAGO_BASE_URL = 'https://api.mercadopago.com';
+const PIX_EXPIRATION_MINUTES = 30;
+
+// PIX do mock é confirmado depois deste tempo (simula o cliente pagando no app do banco)
+const MOCK_PIX_CONFIRM_MS = 10 * 1000;
+// E-mails deste domínio têm o pagamento recusado no mock (testar a página de falha)
+const MOCK_DECLINED_DOMAIN = '@recusado.test';
+
+export const PAYMENT_PROVIDERS = {
+    mercadopago: {
+        label: 'Mercado Pago',
+        type: 'mercadopago',
+        keyVar: 'MERCADOPAGO_ACCESS_TOKEN'
+    },
+    mock: {
+        label: 'Pagamento de teste',
+        type: 'mock'
+    }
+};
+
+export const DEFAULT_PAYMENT_PROVIDER = 'mock';
+
+export function isPaymentProviderEnabled(env, id) {
+    const config = PAYMENT_PROVIDERS[id];
+    if (!config) return false;
+
+    // Pagamento de teste em produção confirmaria pedidos sem cobrança
+    if (config.type === 'mock') {
+        return env.ENVIRONMENT !== 'production';
+    }
+
+    return Boolean(env[config.keyVar]);
+}
+
+/**
+ * URLs das páginas de retorno (checkout/sucesso/ e checkout/falha/ do site)
+ */
+export function checkoutReturnUrls(env, order) {
+    const base = (env.CHECKOUT_RETURN_URL || 'https://envolveai.bot/checkout/').replace(/\/*$/, '/');
+    const query = `?pedido=${encodeURIComponent(order.id)}`;
+
+    return {
+        success: `${base}sucesso/${query}`,
+        failure: `${base}falha/${query}`,
+        pending: `${base}sucesso/${query}`
+    };
+}
+
+function pixExpiration(now) {
+    return new Date(now + PIX_EXPIRATION_MINUTES * 60 * 1000).toISOString();
+}
+
+function describeOrder(order) {
+    return `EnvolveAI.Bot – ${order.plan.name} (${order.cycle.label})`;
+}
+
+class MockPaymentAdapter {
+    constructor(id) {
+        this.id = id;
+    }
+
+    isDeclined(order) {
+        return order.customer.email.endsWith(MOCK_DECLINED_DOMAIN);
+    }
+
+    async createIntent(order, urls) {
+        const intent = {
+            provider: this.id,
+            paymentId: `mock_${order.id.slice(0, 8)}`,
+            status: 'pending',
+            test: true
+        };
+
+        if (order.method === 'pix') {
+            return {
+                ...intent,
+                pix: {
+                    code: `PIX-TESTE-ENVOLVEAI-${order.id}`,
+                    expiresAt: pixExpiration(Date.now())
+                }
+            };
+        }
+
+        // Cartão: o "checkout do provider" volta direto para a página de retorno
+        return {
+            ...intent,
+            redirectUrl: this.isDeclined(order) ? urls.failure : urls.success
+        };
+    }
+
+    async getStatus(order) {
+        if (this.isDeclined(order)) return 'failed';
+
+        if (order.method === 'pix') {
+            return Date.now() - Date.parse(order.createdAt) >= MOCK_PIX_CONFIRM_MS ? 'paid' : 'pending';
+        }
+
+        return 'paid';
+    }
+}
+
+class MercadoPagoAdapter {
+    constructor(id, config, env) {
+        this.id = id;
+        this.accessToken = env[config.keyVar];
+    }
+
+    request(path, options = {}) {
+        return fetch(`${MERCADOPAGO_BASE_URL}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.accessToken}`, // Variável de ambiente segura
+                ...options.headers
+            }
+        });
+    }
+
+    payer(order) {
+        const [firstName, ...lastName] = order.customer.name.split(' ');
+
+        return {
+            email: order.customer.email,
+            first_name: firstName,
+            last_name: lastName.join(' ') || undefined,
+            identification: {
+                type: order.customer.document.type,
+                number: order.customer.document.number
+            }
+        };
+    }
+
+    async createIntent(order, urls) {
+        return order.method === 'pix'
+            ? this.createPix(order)
+            : this.createCardCheckout(order, urls);
+    }
+
+    async createPix(order) {
+        const response = await this.request('/v1/payments', {
+            method: 'POST',
+            // Mesmo pedido nunca gera duas cobranças (retry do client ou da rede)
+            headers: { 'X-Idempotency-Key': order.id },
+            body: JSON.stringify({
+                transaction_amount: order.amount.total / 100,
+                description: describeOrder(order),
+                payment_method_id: 'pix',
+                external_reference: order.id,
+                date_of_expiration: pixExpiration(Date.now()).replace('Z', '+00:00'),
+                payer: this.payer(order)
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Mercado Pago (PIX) falhou: ${response.status}`);
+        }
+
+        const payment = await response.json();
+        const transaction = payment.point_of_interaction?.transaction_data || {};
+
+        return {
+            provider: this.id,
+            paymentId: String(payment.id),
+            status: this.normalizeStatus(payment.status),
+            pix: {
+                code: transaction.qr_code,
+                qrCodeBase64: transaction.qr_code_base64 || null,
+                expiresAt: payment.date_of_expiration || null
+            },
+            test: payment.live_mode === false
+        };
+    }
+
+    async createCardCheckout(order, urls) {
+        const items = [{
+            id: order.plan.id,
+            title: describeOrder(order),
+            quantity: 1,
+            currency_id: order.amount.currency,
+            unit_price: order.amount.subscription / 100
+        }];
+
+        if (order.amount.setupFee) {
+            items.push({
+                id: `${order.plan.id}-setup`,
+                title: `Taxa de setup – ${order.plan.name}`,
+                quantity: 1,
+                currency_id: order.amount.currency,
+                unit_price: order.amount.setupFee / 100
+            });
+        }
+
+        const response = await this.request('/checkout/preferences', {
+            method: 'POST',
+            headers: { 'X-Idempotency-Key': order.id },
+            body: JSON.stringify({
+                items,
+                payer: {
+                    name: order.customer.name,
+                    email: order.customer.email,
+                    identification: this.payer(order).identification
+                },
+                back_urls: urls,
+                auto_return: 'approved',
+                external_reference: order.id,
+                // Só cartão: PIX tem o fluxo próprio com QR Code no site
+                payment_methods: {
+                    excluded_payment_types: [
+                        { id: 'ticket' },
+                        { id: 'bank_transfer' },
+                        { id: 'atm' }
+                    ]
+                }
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Mercado Pago (cartão) falhou: ${response.status}`);
+        }
+
+        const preference = await response.json();
+
+        return {
+            provider: this.id,
+            paymentId: String(preference.id),
+            status: 'pending',
+            redirectUrl: preference.init_point,
+            test: false
+        };
+    }
+
+    // Pagamento mais recente do pedido (cartão pode ter tentativas recusadas antes da aprovada)
+    async getStatus(order) {
+        const query = new URLSearchParams({
+            external_reference: order.id,
+            sort: 'date_created',
+            criteria: 'desc'
+        });
+
+        const response = await this.request(`/v1/payments/search?${query}`);
+        if (!response.ok) {
+            throw new Error(`Mercado Pago (status) falhou: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const payment = data.results?.[0];
+
+        return payment ? this.normalizeStatus(payment.status) : 'pending';
+    }
+
+    normalizeStatus(status) {
+        if (status === 'approved') return 'paid';
+        if (['pending', 'in_process', 'authorized'].includes(status)) return 'pending';
+        return 'failed';
+    }
+}
+
+/**
+ * Provider do checkout (PAYMENT_PROVIDER no wrangler.toml), null se não está configurado
+ */
+export function createPaymentProvider(env, id = env.PAYMENT_PROVIDER || DEFAULT_PAYMENT_PROVIDER) {
+    if (!isPaymentProviderEnabled(env, id)) return null;
+
+    const config = PAYMENT_PROVIDERS[id];
+    return config.type === 'mock'
+        ? new MockPaymentAdapter(id)
+        : new MercadoPagoAdapter(id, config, env);
+}
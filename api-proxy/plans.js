@@ -0,0 +1,157 @@
+/**
+ * Planos do EnvolveAI.Bot carregados em runtime (assistente de vendas, POST /pricing)
+ *
+ * assets/data/plans.json é publicado junto com o site; o worker busca em PLANS_URL
+ * e guarda em cache (SCENARIOS_CACHE_TTL, segundos), como os cenários.
+ * Preço, franquia ou recurso novo = editar o JSON, sem deploy do worker.
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const REQUIRED_FIELDS = ['id', 'order', 'name', 'title', 'summary', 'aliases', 'features'];
+
+// Body do POST /pricing (também validado pelo mock local)
+export const PRICING_FIELDS = ['sessionId', 'plan', 'message', 'stream'];
+
+// Cache por isolate: { catalog, expiresAt }
+let cached = null;
+
+/**
+ * Validar body do /pricing: retorna mensagem de erro ou null
+ */
+export function validatePricingRequest(body) {
+    const unknownField = Object.keys(body).find(field => !PRICING_FIELDS.includes(field));
+    if (unknownField) {
+        return `Campo não permitido: ${unknownField}`;
+    }
+
+    if (typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+        return 'Sessão inválida';
+    }
+
+    if (typeof body.plan !== 'string' || !body.plan) {
+        return 'Plano inválido';
+    }
+
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+        return 'Mensagem inválida';
+    }
+
+    return null;
+}
+
+/**
+ * Validar o catálogo (campos usados pelo prompt e pela troca de plano)
+ */
+export function validatePlans(catalog) {
+    if (!catalog || typeof catalog !== 'object') return false;
+    if (!Array.isArray(catalog.plans) || !catalog.plans.length) return false;
+    if (!Array.isArray(catalog.features)) return false;
+
+    return catalog.plans.every(plan =>
+        plan && typeof plan === 'object'
+        && REQUIRED_FIELDS.every(field => plan[field] !== undefined && plan[field] !== '')
+        && Array.isArray(plan.aliases)
+        && typeof plan.features === 'object'
+    );
+}
+
+/**
+ * Carregar o catálogo de planos (null se não existe ou é inválido)
+ */
+export async function loadPlans(env) {
+    const now = Date.now();
+    if (cached && now < cached.expiresAt) {
+        return cached.catalog;
+    }
+
+    const ttl = parseInt(env.SCENARIOS_CACHE_TTL, 10) || DEFAULT_CACHE_TTL_SECONDS;
+
+    const response = await fetch(env.PLANS_URL, {
+        cf: { cacheTtl: ttl } // Cache também na edge da Cloudflare
+    });
+
+    let catalog = null;
+    if (response.ok) {
+        const data = await response.json().catch(() => null);
+        catalog = validatePlans(data) ? data : null;
+
+        if (!catalog) {
+            console.error('Catálogo de planos inválido');
+        }
+    } else if (response.status !== 404) {
+        // Falha temporária: usar a versão antiga do cache se existir
+        if (cached?.catalog) return cached.catalog;
+        throw new Error(`Erro ao carregar planos: ${response.status}`);
+    }
+
+    cached = { catalog, expiresAt: now + ttl * 1000 };
+    return catalog;
+}
+
+export function findPlan(catalog, id) {
+    return catalog.plans.find(plan => plan.id === id) || null;
+}
+
+function normalizeForMatch(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Plano citado na mensagem ("e o Enterprise?", "quero o plano 2"): id ou null
+ * Mensagem que cita mais de um plano (comparação) mantém o plano da tela
+ */
+export function detectPlan(catalog, message) {
+    const normalized = ` ${normalizeForMatch(message)} `;
+
+    const mentioned = catalog.plans.filter(plan =>
+        [plan.name, ...plan.aliases].some(alias => normalized.includes(` ${normalizeForMatch(alias)} `))
+    );
+
+    return mentioned.length === 1 ? mentioned[0].id : null;
+}
+
+function formatBRL(value) {
+    const [integer, cents] = value.toFixed(2).split('.');
+    return `R$ ${integer.replace(/\B(?=(\d{3})+(?!\d))/g, '.')},${cents}`;
+}
+
+function formatCount(value) {
+    return String(value).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+}
+
+/**
+ * Base de conhecimento do assistente (uma linha por fato)
+ * Também é a referência de preços da guarda de saída (moderation.js)
+ * Recursos vêm da matriz do catálogo; a linha "messages" já sai de messagesPerMonth
+ */
+export function describePlans(catalog) {
+    const lines = [];
+    const features = catalog.features.filter(feature => feature.id !== 'messages');
+
+    catalog.plans.forEach(plan => {
+        const value = (feature) => plan.features[feature.id];
+        const included = features.filter(feature => value(feature));
+        const excluded = features.filter(feature => !value(feature));
+
+        lines.push(`${plan.title}${plan.popular ? ' (mais popular)' : ''}: ${plan.summary}`);
+        lines.push(`- Mensalidade: ${plan.price === null ? 'sob consulta' : `${formatBRL(plan.price)}/mês`}`);
+        lines.push(`- Taxa de setup: ${plan.setupFee === null ? 'implementação personalizada inclusa' : `${formatBRL(plan.setupFee)} (única vez)`}`);
+        lines.push(`- Mensagens por mês: ${plan.messagesPerMonth === null ? 'ilimitadas' : formatCount(plan.messagesPerMonth)}`);
+        lines.push(`- Teste grátis: ${plan.trialDays ? `${plan.trialDays} dias, sem compromisso` : 'não tem'}`);
+        lines.push(`- Inclui: ${included.map(feature => value(feature) === true ? feature.label : `${feature.label}: ${value(feature)}`).join('; ')}`);
+        if (excluded.length) lines.push(`- Não inclui: ${excluded.map(feature => feature.label).join('; ')}`);
+        lines.push('');
+    });
+
+    if (catalog.terms?.length) {
+        lines.push('CONDIÇÕES (todos os planos):');
+        catalog.terms.forEach(term => lines.push(`- ${term}`));
+    }
+
+    return lines;
+}
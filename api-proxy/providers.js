@@ -0,0 +1,302 @@
+/**
+ * Adaptadores de LLM
+ *
+ * - GeminiAdapter: API nativa do Gemini (generateContent / streamGenerateContent)
+ * - OpenAICompatibleAdapter: /chat/completions (Qwen e Phi via Ollama, llama.cpp, vLLM...)
+ *
+ * Request normalizado:  { system, messages: [{ role: 'user' | 'assistant', text }], stream, json }
+ * json: true pede a resposta como objeto JSON (extração estruturada, ex: leads)
+ * Resposta normalizada: { text, provider, model }
+ * Stream normalizado (SSE): data: {"delta": "..."} ... data: {"done": true, "provider", "model", "interactive"}
+ * Diretivas de mensagem interativa ([[botoes: ...]]) não vão nos deltas (ver interactive.js)
+ * Resposta bloqueada (filtro do provider ou moderation.js): data: {"done": true, "blocked": { stage, reason }, ...}
+ */
+
+import { parseInteractive, visibleLength } from './interactive.js';
+import { GEMINI_SAFETY_SETTINGS } from './moderation.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const PROVIDERS = {
+    gemini: {
+        label: 'Gemini 2.5 Flash-Lite',
+        type: 'gemini',
+        defaultModel: 'gemini-2.5-flash-lite',
+        modelVar: 'GEMINI_MODEL',
+        keyVar: 'GEMINI_API_KEY',
+        generationConfig: {
+            temperature: 0.7,
+            maxOutputTokens: 500,
+            topP: 0.95,
+            topK: 40
+        }
+    },
+    qwen: {
+        label: 'Qwen 3',
+        type: 'openai',
+        defaultModel: 'qwen3:4b',
+        modelVar: 'QWEN_MODEL',
+        baseUrlVar: 'QWEN_BASE_URL',
+        keyVar: 'QWEN_API_KEY',
+        generationConfig: {
+            temperature: 0.6,
+            max_tokens: 500,
+            top_p: 0.9
+        }
+    },
+    phi: {
+        label: 'Phi 3.5 Mini',
+        type: 'openai',
+        defaultModel: 'phi3.5',
+        modelVar: 'PHI_MODEL',
+        baseUrlVar: 'PHI_BASE_URL',
+        keyVar: 'PHI_API_KEY',
+        generationConfig: {
+            temperature: 0.5,
+            max_tokens: 400,
+            top_p: 0.9
+        }
+    }
+};
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Gemini precisa da chave; os compatíveis com OpenAI precisam da URL base
+ */
+export function isProviderEnabled(env, id) {
+    const config = PROVIDERS[id];
+    if (!config) return false;
+
+    return config.type === 'gemini'
+        ? Boolean(env[config.keyVar])
+        : Boolean(env[config.baseUrlVar]);
+}
+
+export function listProviders(env) {
+    return Object.entries(PROVIDERS).map(([id, config]) => ({
+        id,
+        label: config.label,
+        model: env[config.modelVar] || config.defaultModel,
+        enabled: isProviderEnabled(env, id)
+    }));
+}
+
+/**
+ * Escolher o provider: pedido explícito > recomendado do cenário > padrão
+ * Retorna null se o provider pedido não existe ou não está configurado
+ */
+export function resolveProvider(env, requested, recommended) {
+    if (requested) {
+        return isProviderEnabled(env, requested) ? requested : null;
+    }
+
+    if (recommended && isProviderEnabled(env, recommended)) {
+        return recommended;
+    }
+
+    return DEFAULT_PROVIDER;
+}
+
+class GeminiAdapter {
+    constructor(id, config, env) {
+        this.id = id;
+        this.model = env[config.modelVar] || config.defaultModel;
+        this.apiKey = env[config.keyVar];
+        this.generationConfig = config.generationConfig;
+    }
+
+    fetch({ system, messages, stream = false, json = false }) {
+        const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        const generationConfig = json
+            ? { ...this.generationConfig, temperature: 0, responseMimeType: 'application/json' }
+            : this.generationConfig;
+
+        return fetch(`${GEMINI_BASE_URL}/${this.model}:${method}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': this.apiKey // Variável de ambiente segura
+            },
+            body: JSON.stringify({
+                systemInstruction: { parts: [{ text: system }] },
+                contents: messages.map(msg => ({
+                    role: msg.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: msg.text }]
+                })),
+                generationConfig,
+                safetySettings: GEMINI_SAFETY_SETTINGS
+            })
+        });
+    }
+
+    extractText(data) {
+        const parts = data?.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    // Pergunta barrada (promptFeedback) ou resposta cortada pelos filtros de conteúdo
+    isBlocked(data) {
+        const finishReason = data?.candidates?.[0]?.finishReason;
+        return Boolean(data?.promptFeedback?.blockReason) ||
+            ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(finishReason);
+    }
+
+    // Chunks SSE do Gemini têm o mesmo formato da resposta completa
+    extractDelta(data) {
+        return this.extractText(data);
+    }
+}
+
+class OpenAICompatibleAdapter {
+    constructor(id, config, env) {
+        this.id = id;
+        this.model = env[config.modelVar] || config.defaultModel;
+        this.baseUrl = (env[config.baseUrlVar] || '').replace(/\/+$/, '');
+        this.apiKey = env[config.keyVar];
+        this.generationConfig = config.generationConfig;
+    }
+
+    fetch({ system, messages, stream = false, json = false }) {
+        const headers = { 'Content-Type': 'application/json' };
+        const jsonOptions = json ? { temperature: 0, response_format: { type: 'json_object' } } : {};
+
+        // Ollama / llama.cpp locais não exigem chave
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        return fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: system },
+                    ...messages.map(msg => ({ role: msg.role, content: msg.text }))
+                ],
+                stream,
+                ...this.generationConfig,
+                ...jsonOptions
+            })
+        });
+    }
+
+    extractText(data) {
+        return data?.choices?.[0]?.message?.content || '';
+    }
+
+    extractDelta(data) {
+        return data?.choices?.[0]?.delta?.content || '';
+    }
+
+    isBlocked(data) {
+        return data?.choices?.[0]?.finish_reason === 'content_filter';
+    }
+}
+
+export function createProvider(env, id) {
+    const config = PROVIDERS[id];
+    const Adapter = config.type === 'gemini' ? GeminiAdapter : OpenAICompatibleAdapter;
+
+    return new Adapter(id, config, env);
+}
+
+/**
+ * Converter o SSE do provider para o formato normalizado
+ * onComplete(text) é chamado com a resposta completa (com diretivas) ao fim do stream
+ * guard(text) (moderation.js) vê o texto antes de ele sair; bloqueio encerra o stream sem salvar
+ * meta: campos extras do evento final (ex: plano do POST /pricing)
+ */
+export function normalizeStream(body, provider, onComplete, guard = () => null, meta = {}) {
+    const encoder = new TextEncoder();
+    let buffer = '';
+    let text = '';
+    let emitted = 0; // Caracteres já enviados ao client
+    let blocked = null;
+
+    const emit = (controller, payload) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+    };
+
+    const block = (controller, reason) => {
+        blocked = reason;
+        emit(controller, { ...meta, done: true, blocked, provider: provider.id, model: provider.model, interactive: null });
+        controller.terminate();
+    };
+
+    const handleLine = (line, controller) => {
+        if (blocked || !line.startsWith('data:')) return;
+
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch {
+            return; // Linha inválida: ignorar
+        }
+
+        if (provider.isBlocked(parsed)) {
+            block(controller, { stage: 'output', reason: 'safety' });
+            return;
+        }
+
+        const delta = provider.extractDelta(parsed);
+        if (!delta) return;
+
+        text += delta;
+
+        // Só palavras completas passam pela guarda e seguem para o client
+        const checked = text.substring(0, Math.max(text.lastIndexOf(' '), text.lastIndexOf('\n')) + 1);
+        const visible = Math.min(visibleLength(text), checked.length);
+        if (visible <= emitted) return;
+
+        const rejected = guard(checked);
+        if (rejected) {
+            block(controller, rejected);
+            return;
+        }
+
+        emit(controller, { delta: text.substring(emitted, visible) });
+        emitted = visible;
+    };
+
+    return body
+        .pipeThrough(new TextDecoderStream())
+        .pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                buffer += chunk;
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop();
+                lines.forEach(line => handleLine(line, controller));
+            },
+            flush(controller) {
+                handleLine(buffer, controller);
+                if (blocked) return;
+
+                // Resposta completa (com diretivas de produto e preços) passa pela guarda uma última vez
+                const rejected = guard(text);
+                if (rejected) {
+                    block(controller, rejected);
+                    return;
+                }
+
+                // Texto segurado que não era diretiva sai agora
+                const reply = parseInteractive(text);
+                if (reply.text.length > emitted) {
+                    emit(controller, { delta: reply.text.substring(emitted) });
+                }
+
+                emit(controller, {
+                    ...meta,
+                    done: true,
+                    provider: provider.id,
+                    model: provider.model,
+                    interactive: reply.interactive
+                });
+                onComplete(text);
+            }
+        }));
+}
@@ -0,0 +1,265 @@
+/**
+ * Rate limiting com store plugável
+ *
+ * - DurableObjectRateLimitStore: contadores compartilhados entre isolates e edges (produção)
+ * - MemoryRateLimitStore: mesma lógica em memória (testes locais / wrangler dev sem binding)
+ *
+ * Regras avaliadas em ordem: por IP, por sessão e orçamento global diário.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Headers de rate limit lidos pelo client (CORS) - worker e mock local
+export const RATE_LIMIT_EXPOSED_HEADERS = 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+
+/**
+ * Aplicar uma regra sobre o estado salvo de uma chave
+ * - sliding: log de timestamps (janela deslizante exata)
+ * - fixed: contador simples que zera em resetAt (orçamento diário)
+ */
+export function applyRule(stored, rule, now) {
+    if (rule.type === 'fixed') {
+        const window = stored && now < stored.resetAt
+            ? stored
+            : { count: 0, resetAt: rule.resetAt };
+
+        const allowed = window.count < rule.limit;
+        if (allowed) {
+            window.count++;
+        }
+
+        return {
+            state: window,
+            result: {
+                allowed,
+                limit: rule.limit,
+                remaining: Math.max(0, rule.limit - window.count),
+                resetAt: window.resetAt
+            }
+        };
+    }
+
+    const timestamps = (stored?.timestamps || []).filter(ts => now - ts < rule.windowMs);
+    const allowed = timestamps.length < rule.limit;
+    if (allowed) {
+        timestamps.push(now);
+    }
+
+    return {
+        state: { timestamps },
+        result: {
+            allowed,
+            limit: rule.limit,
+            remaining: Math.max(0, rule.limit - timestamps.length),
+            // Próxima vaga abre quando o request mais antigo sai da janela
+            resetAt: (timestamps[0] ?? now) + rule.windowMs
+        }
+    };
+}
+
+/**
+ * Store em memória (por isolate)
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.windows = new Map();
+    }
+
+    async hit(key, rule) {
+        const now = Date.now();
+        this.cleanup(now);
+
+        const { state, result } = applyRule(this.windows.get(key), rule, now);
+        this.windows.set(key, { ...state, expiresAt: result.resetAt });
+
+        return result;
+    }
+
+    cleanup(now) {
+        for (const [key, window] of this.windows.entries()) {
+            if (now > window.expiresAt) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Store via Durable Object (uma instância por chave)
+ */
+export class DurableObjectRateLimitStore {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async hit(key, rule) {
+        const stub = this.namespace.get(this.namespace.idFromName(key));
+        const response = await stub.fetch('https://rate-limiter/hit', {
+            method: 'POST',
+            body: JSON.stringify({ rule })
+        });
+
+        return response.json();
+    }
+}
+
+/**
+ * Durable Object com a janela de uma chave
+ * Exportado pelo worker principal (binding RATE_LIMITER no wrangler.toml)
+ */
+export class RateLimiterDurableObject {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        const { rule } = await request.json();
+        const now = Date.now();
+
+        const stored = await this.state.storage.get('window');
+        const { state, result } = applyRule(stored, rule, now);
+
+        await this.state.storage.put('window', state);
+        await this.state.storage.setAlarm(result.resetAt);
+
+        return Response.json(result);
+    }
+
+    /**
+     * Limpar storage quando a janela expira
+     */
+    async alarm() {
+        const stored = await this.state.storage.get('window');
+        const now = Date.now();
+        const expired = !stored
+            || (stored.resetAt && now >= stored.resetAt)
+            || (stored.timestamps && stored.timestamps.every(ts => now - ts >= MINUTE_MS));
+
+        if (expired) {
+            await this.state.storage.deleteAll();
+        } else {
+            await this.state.storage.setAlarm(now + MINUTE_MS);
+        }
+    }
+}
+
+/**
+ * Avalia todas as regras e devolve o resultado mais restritivo
+ */
+export class RateLimiter {
+    constructor(store, rules) {
+        this.store = store;
+        this.rules = rules;
+    }
+
+    async check(context) {
+        let tightest = null;
+
+        for (const rule of this.rules) {
+            const key = rule.key(context);
+            if (!key) continue;
+
+            const result = { ...(await this.store.hit(key, rule)), scope: rule.scope };
+
+            if (!result.allowed) {
+                return result;
+            }
+
+            if (!tightest || result.remaining < tightest.remaining) {
+                tightest = result;
+            }
+        }
+
+        return tightest || { allowed: true, limit: 0, remaining: 0, resetAt: Date.now(), scope: null };
+    }
+}
+
+// Store em memória compartilhado pelos requests do mesmo isolate
+const memoryStore = new MemoryRateLimitStore();
+
+// Telemetria (analytics e erros), verificação do Turnstile e checkout: janela própria por IP, fora do orçamento diário da IA
+const IP_ONLY_BUCKETS = {
+    events: { variable: 'RATE_LIMIT_EVENTS_PER_MINUTE', limit: 60 },
+    errors: { variable: 'RATE_LIMIT_ERRORS_PER_MINUTE', limit: 20 },
+    verify: { variable: 'RATE_LIMIT_VERIFY_PER_MINUTE', limit: 10 },
+    checkout: { variable: 'RATE_LIMIT_CHECKOUT_PER_MINUTE', limit: 5 },
+    // Polling do PIX e das páginas de retorno (uma consulta a cada 5s por aba)
+    checkoutStatus: { variable: 'RATE_LIMIT_CHECKOUT_STATUS_PER_MINUTE', limit: 30 },
+    // Painel admin: poucas consultas por minuto (tentativas de adivinhar o ADMIN_TOKEN)
+    insights: { variable: 'RATE_LIMIT_INSIGHTS_PER_MINUTE', limit: 5 }
+};
+
+/**
+ * Montar regras a partir das variáveis do wrangler.toml
+ */
+function buildRules(env, bucket) {
+    const ipOnly = IP_ONLY_BUCKETS[bucket];
+    if (ipOnly) {
+        return [
+            {
+                scope: 'ip',
+                type: 'sliding',
+                limit: parseInt(env[ipOnly.variable], 10) || ipOnly.limit,
+                windowMs: MINUTE_MS,
+                key: ({ ip }) => `${bucket}:ip:${ip}`
+            }
+        ];
+    }
+
+    const perIp = parseInt(env.RATE_LIMIT_IP_PER_MINUTE, 10) || 30;
+    const perSession = parseInt(env.RATE_LIMIT_SESSION_PER_MINUTE, 10) || 20;
+    const globalPerDay = parseInt(env.RATE_LIMIT_GLOBAL_PER_DAY, 10) || 5000;
+
+    return [
+        {
+            scope: 'ip',
+            type: 'sliding',
+            limit: perIp,
+            windowMs: MINUTE_MS,
+            key: ({ ip }) => `ip:${ip}`
+        },
+        {
+            scope: 'session',
+            type: 'sliding',
+            limit: perSession,
+            windowMs: MINUTE_MS,
+            key: ({ sessionId }) => sessionId ? `session:${sessionId}` : null
+        },
+        {
+            scope: 'global',
+            type: 'fixed',
+            limit: globalPerDay,
+            get resetAt() {
+                const tomorrow = new Date();
+                tomorrow.setUTCHours(24, 0, 0, 0);
+                return tomorrow.getTime();
+            },
+            key: () => `global:${new Date().toISOString().slice(0, 10)}`
+        }
+    ];
+}
+
+export function createRateLimiter(env, bucket = 'chat') {
+    const store = env.RATE_LIMITER
+        ? new DurableObjectRateLimitStore(env.RATE_LIMITER)
+        : memoryStore;
+
+    return new RateLimiter(store, buildRules(env, bucket));
+}
+
+/**
+ * Headers X-RateLimit-* (+ Retry-After quando bloqueado)
+ */
+export function rateLimitHeaders(result) {
+    const headers = {
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+    };
+
+    if (!result.allowed) {
+        headers['Retry-After'] = String(Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000)));
+    }
+
+    return headers;
+}
@@ -0,0 +1,62 @@
+/**
+ * Cenários da simulação carregados em runtime
+ *
+ * Os arquivos assets/data/scenarios/<id>.json são publicados junto com o site;
+ * o worker busca em SCENARIOS_BASE_URL e guarda em cache (SCENARIOS_CACHE_TTL, segundos).
+ * Novo segmento = novo JSON + id no index.json, sem deploy do worker.
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const SCENARIO_ID_PATTERN = /^[a-z0-9-]{2,32}$/;
+const REQUIRED_FIELDS = ['id', 'label', 'botName', 'business', 'tone', 'greeting', 'fallback', 'pitch', 'knowledge'];
+
+// Cache por isolate: id → { scenario, expiresAt }
+const cache = new Map();
+
+/**
+ * Validar definição (mesmas regras obrigatórias do schema.json)
+ */
+export function validateScenario(scenario, id) {
+    if (!scenario || typeof scenario !== 'object') return false;
+    if (scenario.id !== id) return false;
+
+    return REQUIRED_FIELDS.every(field => scenario[field] !== undefined && scenario[field] !== '')
+        && Array.isArray(scenario.knowledge);
+}
+
+/**
+ * Carregar um cenário pelo id (null se não existe ou é inválido)
+ */
+export async function loadScenario(env, id) {
+    if (typeof id !== 'string' || !SCENARIO_ID_PATTERN.test(id)) return null;
+
+    const now = Date.now();
+    const cached = cache.get(id);
+    if (cached && now < cached.expiresAt) {
+        return cached.scenario;
+    }
+
+    const baseUrl = (env.SCENARIOS_BASE_URL || '').replace(/\/+$/, '');
+    const ttl = parseInt(env.SCENARIOS_CACHE_TTL, 10) || DEFAULT_CACHE_TTL_SECONDS;
+
+    const response = await fetch(`${baseUrl}/${id}.json`, {
+        cf: { cacheTtl: ttl } // Cache também na edge da Cloudflare
+    });
+
+    let scenario = null;
+    if (response.ok) {
+        const data = await response.json().catch(() => null);
+        scenario = validateScenario(data, id) ? data : null;
+
+        if (!scenario) {
+            console.error(`Cenário inválido: ${id}`);
+        }
+    } else if (response.status !== 404) {
+        // Falha temporária: usar a versão antiga do cache se existir
+        if (cached) return cached.scenario;
+        throw new Error(`Erro ao carregar cenário ${id}: ${response.status}`);
+    }
+
+    cache.set(id, { scenario, expiresAt: now + ttl * 1000 });
+    return scenario;
+}
@@ -0,0 +1,89 @@
+/**
+ * Verificação anti-robô com Cloudflare Turnstile (opcional)
+ *
+ * Ativa quando TURNSTILE_SECRET_KEY está configurado:
+ * - POST /verify { sessionId, token }: token do widget validado no siteverify (uso único)
+ * - resposta { pass, expiresAt }: passe assinado (HMAC) para a sessão, enviado pelo client
+ *   no header X-Turnstile-Pass do chat, do /pricing, do /leads e do /checkout até expirar
+ *
+ * O passe evita um desafio por mensagem: o token do Turnstile só pode ser verificado uma vez.
+ */
+
+const SITEVERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const DEFAULT_PASS_TTL_SECONDS = 30 * 60;
+
+export const PASS_HEADER = 'X-Turnstile-Pass';
+
+export function isTurnstileEnabled(env) {
+    return Boolean(env.TURNSTILE_SECRET_KEY);
+}
+
+/**
+ * Validar o token do widget no siteverify
+ */
+export async function verifyTurnstileToken(env, token, ip) {
+    const form = new FormData();
+    form.append('secret', env.TURNSTILE_SECRET_KEY);
+    form.append('response', token);
+    if (ip) form.append('remoteip', ip);
+
+    const response = await fetch(SITEVERIFY_URL, { method: 'POST', body: form });
+    if (!response.ok) {
+        throw new Error(`Erro no siteverify do Turnstile: ${response.status}`);
+    }
+
+    const outcome = await response.json();
+    if (!outcome.success) {
+        console.warn('⚠️ Turnstile recusado:', (outcome['error-codes'] || []).join(', '));
+    }
+
+    return outcome.success === true;
+}
+
+async function sign(env, payload) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(env.TURNSTILE_SECRET_KEY),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+
+    return btoa(String.fromCharCode(...new Uint8Array(signature)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Passe da sessão: "<expiresAt>.<assinatura>"
+ */
+export async function issuePass(env, sessionId) {
+    const ttl = parseInt(env.TURNSTILE_PASS_TTL, 10) || DEFAULT_PASS_TTL_SECONDS;
+    const expiresAt = Date.now() + ttl * 1000;
+
+    return {
+        pass: `${expiresAt}.${await sign(env, `${sessionId}.${expiresAt}`)}`,
+        expiresAt
+    };
+}
+
+export async function verifyPass(env, sessionId, pass) {
+    if (!sessionId || typeof pass !== 'string') return false;
+
+    const [expiresAt, signature] = pass.split('.');
+    if (!signature || !(Number(expiresAt) > Date.now())) return false;
+
+    const expected = await sign(env, `${sessionId}.${expiresAt}`);
+
+    // Comparação em tempo constante (mesmo cuidado do ADMIN_TOKEN em insights.js)
+    if (expected.length !== signature.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+    }
+
+    return diff === 0;
+}
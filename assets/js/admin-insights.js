@@ -0,0 +1,203 @@
+// ===== PAINEL DE INSIGHTS (admin/insights/) =====
+// Lê o GET /admin/insights do worker (api-proxy/insights.js) com o ADMIN_TOKEN.
+// O token fica só no sessionStorage desta aba.
+
+const FUNNEL_LABELS = {
+    demo_initialized: 'Demo carregada',
+    scenario_selected: 'Segmento escolhido',
+    simulation_started: 'Simulação iniciada',
+    message_sent: 'Mensagem enviada',
+    phase_2_reached: 'Fase 2 (consultoria)'
+};
+
+const LEAD_LABELS = {
+    quente: '🔥 Quente (pediu demonstração)',
+    morno: '🌤️ Morno (pediu material)',
+    frio: '❄️ Frio'
+};
+
+// Mesma regra do getApiBaseUrl em script.js (?api= só em desenvolvimento)
+function getInsightsApiUrl() {
+    const isLocalDev = window.location.hostname === 'localhost' ||
+                      window.location.hostname === '127.0.0.1' ||
+                      window.location.protocol === 'file:';
+    
+    const configured = window.ENVOLVEAI_API_URL || (isLocalDev
+        ? new URLSearchParams(window.location.search).get('api') || 'http://127.0.0.1:8787'
+        : document.querySelector('meta[name="envolveai-api-url"]')?.content);
+    
+    return (configured || window.location.origin).replace(/\/+$/, '');
+}
+
+class AdminInsightsDashboard {
+    constructor() {
+        this.apiUrl = getInsightsApiUrl();
+        this.tokenKey = 'envolveai-admin-token';
+        this.dom = {
+            form: document.getElementById('insightsForm'),
+            token: document.getElementById('insightsToken'),
+            period: document.getElementById('insightsPeriod'),
+            status: document.getElementById('insightsStatus'),
+            report: document.getElementById('insightsReport'),
+            cards: document.getElementById('insightsCards'),
+            funnel: document.getElementById('insightsFunnel'),
+            scenarios: document.getElementById('insightsScenarios'),
+            dropOff: document.getElementById('insightsDropOff'),
+            leads: document.getElementById('insightsLeads')
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.dom.token.value = sessionStorage.getItem(this.tokenKey) || '';
+        
+        this.dom.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.load();
+        });
+        
+        this.dom.period.addEventListener('change', () => {
+            if (this.dom.token.value) this.load();
+        });
+        
+        if (this.dom.token.value) {
+            this.load();
+        }
+    }
+    
+    async load() {
+        const token = this.dom.token.value.trim();
+        this.setStatus('Carregando...');
+        
+        try {
+            const response = await fetch(`${this.apiUrl}/admin/insights?days=${this.dom.period.value}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (response.status === 401) sessionStorage.removeItem(this.tokenKey);
+                throw new Error(data.error || `Erro ${response.status}`);
+            }
+            
+            sessionStorage.setItem(this.tokenKey, token);
+            this.render(data);
+            this.setStatus(`Atualizado em ${new Date(data.period.generatedAt).toLocaleString('pt-BR')}`);
+            
+        } catch (error) {
+            this.dom.report.hidden = true;
+            this.setStatus(`❌ ${error.message}`, true);
+        }
+    }
+    
+    setStatus(text, isError = false) {
+        this.dom.status.textContent = text;
+        this.dom.status.classList.toggle('error', isError);
+    }
+    
+    render(data) {
+        this.renderCards(data);
+        this.renderFunnel(data.funnel);
+        this.renderScenarios(data.byScenario);
+        this.renderDropOff(data.dropOff);
+        this.renderLeads(data.leadTemperature);
+        this.dom.report.hidden = false;
+    }
+    
+    renderCards(data) {
+        const first = data.funnel[0];
+        const last = data.funnel[data.funnel.length - 1];
+        
+        const cards = [
+            ['Sessões', first.sessions],
+            ['Chegaram à fase 2', `${last.sessions} (${last.rate}%)`],
+            ['Mediana até a fase 2', this.formatDuration(data.timeToPhase2.medianMs)],
+            ['Leads', data.leadTemperature.total]
+        ];
+        
+        this.dom.cards.innerHTML = cards.map(([label, value]) => `
+            <div class="insights-card">
+                <span class="insights-card-value">${this.escape(value)}</span>
+                <span class="insights-card-label">${label}</span>
+            </div>
+        `).join('');
+    }
+    
+    renderFunnel(funnel) {
+        this.dom.funnel.innerHTML = funnel.map((step, index) => this.bar(
+            FUNNEL_LABELS[step.step] || step.step,
+            step.rate,
+            `${step.sessions} · ${step.rate}%${index ? ` (etapa: ${step.stepRate}%)` : ''}`
+        )).join('');
+    }
+    
+    renderScenarios(scenarios) {
+        if (!scenarios.length) {
+            this.dom.scenarios.innerHTML = '<tr><td colspan="7">Sem dados no período</td></tr>';
+            return;
+        }
+        
+        this.dom.scenarios.innerHTML = scenarios.map(row => `
+            <tr>
+                <td>${this.escape(row.scenario)}</td>
+                <td>${row.selected}</td>
+                <td>${row.started}</td>
+                <td>${row.phase2}</td>
+                <td>${row.phase2Rate}%</td>
+                <td>${this.formatDuration(row.medianTimeToPhase2Ms)}</td>
+                <td>${row.leads}</td>
+            </tr>
+        `).join('');
+    }
+    
+    renderDropOff(dropOff) {
+        if (!dropOff.length) {
+            this.dom.dropOff.innerHTML = '<p class="insights-hint">Sem simulações no período</p>';
+            return;
+        }
+        
+        this.dom.dropOff.innerHTML = dropOff.map(row => this.bar(
+            row.index === 0 ? 'Nenhuma mensagem' : `Mensagem ${row.index}`,
+            row.rate,
+            `${row.droppedOff} de ${row.reached} · ${row.rate}%`,
+            'drop'
+        )).join('');
+    }
+    
+    renderLeads(leadTemperature) {
+        this.dom.leads.innerHTML = leadTemperature.levels.map(row => this.bar(
+            LEAD_LABELS[row.level] || row.level,
+            row.rate,
+            `${row.leads} · ${row.rate}%`,
+            row.level
+        )).join('');
+    }
+    
+    bar(label, percent, value, modifier = '') {
+        return `
+            <div class="insights-bar ${modifier}">
+                <span class="insights-bar-label">${this.escape(label)}</span>
+                <span class="insights-bar-track"><span class="insights-bar-fill" style="width: ${Math.min(100, Number(percent) || 0)}%"></span></span>
+                <span class="insights-bar-value">${this.escape(value)}</span>
+            </div>
+        `;
+    }
+    
+    formatDuration(ms) {
+        if (!Number.isFinite(ms)) return '—';
+        
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}min ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+    
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.adminInsights = new AdminInsightsDashboard();
+}, { once: true });
@@ -0,0 +1,185 @@
+// ===== RETORNO DO CHECKOUT (checkout/sucesso/ e checkout/falha/) =====
+// Lê o GET /checkout/status do worker (api-proxy/checkout.js) com o ?pedido= da URL.
+// O provider decide a página pelo resultado do pagamento; o status do pedido é a fonte da verdade
+// (pagamento em análise no cartão aparece como pendente e é consultado de novo por alguns minutos;
+// cartão recusado que chega na página de sucesso foi aprovado numa nova tentativa e também é consultado de novo).
+
+const STATUS_MESSAGES = {
+    paid: {
+        icon: '✅',
+        title: 'Pagamento confirmado!',
+        text: 'Bem-vindo ao EnvolveAI.Bot. Nosso time entra em contato pelos dados informados para começar a implantação.'
+    },
+    pending: {
+        icon: '⏳',
+        title: 'Pagamento em processamento',
+        text: 'Assim que o pagamento for confirmado esta página atualiza sozinha.'
+    },
+    failed: {
+        icon: '❌',
+        title: 'Pagamento não aprovado',
+        text: 'Nenhum valor foi cobrado. Tente de novo com outra forma de pagamento ou fale com o nosso time.'
+    }
+};
+
+// Mesma regra do getApiBaseUrl em script.js (?api= só em desenvolvimento)
+function getCheckoutApiUrl() {
+    const isLocalDev = window.location.hostname === 'localhost' ||
+                      window.location.hostname === '127.0.0.1' ||
+                      window.location.protocol === 'file:';
+    
+    const configured = window.ENVOLVEAI_API_URL || (isLocalDev
+        ? new URLSearchParams(window.location.search).get('api') || 'http://127.0.0.1:8787'
+        : document.querySelector('meta[name="envolveai-api-url"]')?.content);
+    
+    return (configured || window.location.origin).replace(/\/+$/, '');
+}
+
+class CheckoutReturnPage {
+    constructor() {
+        this.apiUrl = getCheckoutApiUrl();
+        this.orderId = new URLSearchParams(window.location.search).get('pedido');
+        this.page = document.body.dataset.checkoutResult; // sucesso | falha
+        this.pollMs = 5000;
+        this.maxPolls = 36; // ~3 minutos
+        this.polls = 0;
+        this.tracked = false;
+        this.dom = {
+            icon: document.getElementById('checkoutIcon'),
+            title: document.getElementById('checkoutTitle'),
+            text: document.getElementById('checkoutText'),
+            summary: document.getElementById('checkoutSummary'),
+            retry: document.getElementById('checkoutRetry')
+        };
+        
+        this.load();
+    }
+    
+    async load() {
+        if (!this.orderId) {
+            this.renderMessage('failed', 'Pedido não informado. Volte para os planos e tente de novo.');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.apiUrl}/checkout/status?pedido=${encodeURIComponent(this.orderId)}`);
+            
+            if (!response.ok) {
+                const error = new Error(`Erro ao consultar o pedido: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            this.render(await response.json());
+            
+        } catch (error) {
+            console.error('❌ Pedido indisponível:', error);
+            
+            if (error.status === 404 || error.status === 400) {
+                this.renderMessage('failed', 'Não encontramos este pedido. Se o valor foi cobrado, fale com o nosso time.');
+                return;
+            }
+            
+            // Falha de rede: tenta de novo sem mudar a mensagem da página
+            this.schedule();
+        }
+    }
+    
+    render(order) {
+        const retried = this.awaitsRetriedCard(order);
+        
+        this.renderMessage(retried ? 'pending' : order.status);
+        this.renderSummary(order);
+        this.track(order);
+        
+        if (order.status === 'pending' || retried) {
+            this.schedule();
+        }
+    }
+    
+    // Recusa anterior ainda salva no pedido: o worker atualiza no provider em alguns segundos (aparece como em processamento)
+    awaitsRetriedCard(order) {
+        return this.page === 'sucesso' && order.method === 'card' && order.status === 'failed';
+    }
+    
+    renderMessage(status, text = null) {
+        const message = STATUS_MESSAGES[status] || STATUS_MESSAGES.pending;
+        
+        document.body.dataset.status = status;
+        this.dom.icon.textContent = message.icon;
+        this.dom.title.textContent = message.title;
+        this.dom.text.textContent = text || message.text;
+        this.dom.retry.hidden = status !== 'failed';
+    }
+    
+    renderSummary(order) {
+        const money = (cents) => (cents / 100).toLocaleString('pt-BR', { style: 'currency', currency: order.amount.currency });
+        const rows = [
+            ['Pedido', order.orderId.slice(0, 8).toUpperCase()],
+            ['Plano', `${order.plan.name} · ${order.cycle.label}`],
+            ['Pagamento', order.method === 'pix' ? 'PIX' : 'Cartão de crédito'],
+            ['Total', money(order.amount.total)]
+        ];
+        
+        this.dom.summary.innerHTML = rows.map(([label, value]) => `
+            <div class="checkout-return-row">
+                <dt>${this.escape(label)}</dt>
+                <dd>${this.escape(value)}</dd>
+            </div>
+        `).join('');
+        this.dom.summary.hidden = false;
+    }
+    
+    schedule() {
+        if (++this.polls > this.maxPolls) return;
+        
+        setTimeout(() => this.load(), this.pollMs);
+    }
+    
+    // Um evento por visita, só com o consentimento de analytics do site (mesmo registro do banner)
+    track(order) {
+        if (this.tracked || !this.allowsAnalytics()) return;
+        this.tracked = true;
+        
+        const eventData = {
+            v: 1,
+            event: 'checkout_return_viewed',
+            data: {
+                page: this.page,
+                status: order.status,
+                plan: order.plan.id,
+                cycle: order.cycle.id,
+                method: order.method
+            },
+            timestamp: Date.now(),
+            sessionId: order.sessionId,
+            sessionDuration: 0
+        };
+        
+        fetch(`${this.apiUrl}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: order.sessionId, events: [eventData] }),
+            keepalive: true
+        }).catch(error => console.warn('⚠️ Evento do checkout não enviado:', error));
+    }
+    
+    allowsAnalytics() {
+        try {
+            const record = JSON.parse(localStorage.getItem('envolveai-consent'));
+            return record?.version === 1 && record.categories?.analytics === true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.checkoutReturn = new CheckoutReturnPage();
+}, { once: true });